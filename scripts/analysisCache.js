@@ -0,0 +1,239 @@
+/**
+ * Analysis Cache Module
+ * Persists worker analysis results in IndexedDB, keyed by a file fingerprint
+ * and the settings that change the analysis
+ */
+
+const AnalysisCache = {
+    dbName: 'vid2vibes',
+    dbVersion: 1,
+    // Bump when the worker's result format or algorithms change so stale entries are ignored
+    resultVersion: 6,
+    sampleCount: 16,
+    sampleBytes: 64 * 1024,
+    db: null,
+
+    /**
+     * Open (or create) the database; resolves to null when IndexedDB is unavailable
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Small metadata records for listing, large results stored separately
+                if (!db.objectStoreNames.contains('entries')) db.createObjectStore('entries', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains('results')) db.createObjectStore('results');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                console.error('Failed to open analysis cache:', request.error);
+                resolve(null);
+            };
+        });
+    },
+
+    /**
+     * Wrap an IDBRequest (or a transaction's completion) in a promise
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            if (request instanceof IDBTransaction) {
+                request.oncomplete = () => resolve();
+                request.onerror = () => reject(request.error);
+                request.onabort = () => reject(request.error);
+            } else {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }
+        });
+    },
+
+    /**
+     * Fingerprint a file: SHA-256 over its name, size and evenly spaced content samples
+     * (cheap even for multi-GB videos, and stable across page reloads)
+     */
+    async fingerprint(file) {
+        const parts = [new TextEncoder().encode(`${file.name}|${file.size}|`)];
+        const step = Math.max(0, file.size - this.sampleBytes) / (this.sampleCount - 1);
+
+        for (let i = 0; i < this.sampleCount; i++) {
+            const start = Math.floor(i * step);
+            if (start >= file.size) break;
+            const chunk = await Utils.readFileAsArrayBuffer(file.slice(start, start + this.sampleBytes));
+            parts.push(new Uint8Array(chunk));
+            if (file.size <= this.sampleBytes) break;
+        }
+
+        const total = parts.reduce((sum, p) => sum + p.length, 0);
+        const data = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(p => {
+            data.set(p, offset);
+            offset += p.length;
+        });
+
+        if (window.crypto?.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        // Insecure contexts have no SubtleCrypto: fall back to a 53-bit FNV-style hash
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < data.length; i++) {
+            h1 = Math.imul(h1 ^ data[i], 2654435761);
+            h2 = Math.imul(h2 ^ data[i], 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    },
+
+    /**
+     * The subset of settings that changes the worker's output
+     */
+    getAnalysisSettings(settings = {}) {
+        return {
+            onsetDetector: settings.onsetDetector || 'energy',
+            channelMix: settings.channelMix || 'mid'
+        };
+    },
+
+    /**
+     * Cache key for a file entry under the given settings (fingerprint is memoized on the entry)
+     */
+    async getKey(fileData, settings) {
+        if (!fileData.fingerprint) {
+            fileData.fingerprint = await this.fingerprint(fileData.file);
+        }
+        const analysis = this.getAnalysisSettings(settings);
+        return `${fileData.fingerprint}:v${this.resultVersion}:${analysis.onsetDetector}:${analysis.channelMix}`;
+    },
+
+    /**
+     * Look up a cached analysis result; resolves to null on a miss or any error
+     */
+    async get(fileData, settings) {
+        try {
+            const db = await this.open();
+            if (!db) return null;
+
+            const key = await this.getKey(fileData, settings);
+            const tx = db.transaction('results', 'readonly');
+            return (await this.promisify(tx.objectStore('results').get(key))) || null;
+        } catch (err) {
+            console.error('Analysis cache lookup failed:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Store an analysis result for a file entry
+     * patternData is left out: it was built at one intervalMs (not part of the key) and the
+     * generator rebuilds patterns from the envelopes anyway
+     */
+    async put(fileData, settings, analysisResult) {
+        try {
+            const db = await this.open();
+            if (!db) return false;
+
+            const { patternData, ...result } = analysisResult;
+            const key = await this.getKey(fileData, settings);
+            const tx = db.transaction(['entries', 'results'], 'readwrite');
+            tx.objectStore('results').put(result, key);
+            tx.objectStore('entries').put({
+                key,
+                name: fileData.file.name,
+                size: fileData.file.size,
+                duration: result.duration,
+                bpm: result.bpm,
+                settings: this.getAnalysisSettings(settings),
+                bytes: this.estimateBytes(result),
+                createdAt: Date.now()
+            });
+            await this.promisify(tx);
+            return true;
+        } catch (err) {
+            console.error('Failed to cache analysis result:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Rough stored size of a result (volume samples dominate)
+     */
+    estimateBytes(result) {
+        let bytes = (result.volumeData?.length || 0) * 24;
+        Object.values(result.bands || {}).forEach(band => {
+            if (band?.byteLength) bytes += band.byteLength;
+        });
+        bytes += ((result.onsets?.length || 0) + (result.beats?.length || 0)) * 16;
+        return bytes;
+    },
+
+    /**
+     * All cache entries (metadata only), newest first
+     */
+    async list() {
+        try {
+            const db = await this.open();
+            if (!db) return [];
+
+            const tx = db.transaction('entries', 'readonly');
+            const entries = await this.promisify(tx.objectStore('entries').getAll());
+            return entries.sort((a, b) => b.createdAt - a.createdAt);
+        } catch (err) {
+            console.error('Failed to list analysis cache:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Delete one entry
+     */
+    async remove(key) {
+        try {
+            const db = await this.open();
+            if (!db) return false;
+
+            const tx = db.transaction(['entries', 'results'], 'readwrite');
+            tx.objectStore('entries').delete(key);
+            tx.objectStore('results').delete(key);
+            await this.promisify(tx);
+            return true;
+        } catch (err) {
+            console.error('Failed to delete cache entry:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Delete every entry
+     */
+    async clear() {
+        try {
+            const db = await this.open();
+            if (!db) return false;
+
+            const tx = db.transaction(['entries', 'results'], 'readwrite');
+            tx.objectStore('entries').clear();
+            tx.objectStore('results').clear();
+            await this.promisify(tx);
+            return true;
+        } catch (err) {
+            console.error('Failed to clear analysis cache:', err);
+            return false;
+        }
+    }
+};
+
+// Export for use in other modules
+window.AnalysisCache = AnalysisCache;
@@ -16,6 +16,12 @@ const App = {
         // Initialize audio analyzer
         AudioAnalyzer.init();
         
+        // Load custom patterns and settings presets
+        PatternLibrary.load();
+        SettingsPresets.load();
+        DeviceRouter.load();
+        UI.renderPresets(SettingsPresets.list(), SettingsPresets.findMatch(UI.getSettings()));
+        
         // Set up file handler callbacks
         this.setupFileHandlerCallbacks();
         
@@ -57,6 +63,13 @@ const App = {
             UI.elements.manualIPInput.value = savedIP;
         }
         
+        // Show custom scan ranges (the placeholder stands for the defaults)
+        const scanRanges = LovenseApi.getScanRanges();
+        if (UI.elements.scanRangesInput) {
+            if (scanRanges !== LovenseApi.defaultScanRanges) UI.elements.scanRangesInput.value = scanRanges;
+            UI.elements.scanRangesInput.placeholder = `Scan: ${LovenseApi.defaultScanRanges}`;
+        }
+        
         console.log('Lovense Video Sync ready!');
     },
 
@@ -67,6 +80,7 @@ const App = {
         FileHandler.onFilesChange = (files) => {
             UI.renderFileCards(files, FileHandler.activeFileIndex);
             UI.updateBatchActions(FileHandler.getCompletedCount());
+            UI.updateFileSettingsNote(FileHandler.getActiveFile());
             
             // Show/hide panels based on file state
             const hasFiles = files.length > 0;
@@ -80,6 +94,7 @@ const App = {
         FileHandler.onActiveFileChange = (file, index) => {
             UI.renderFileCards(FileHandler.files, index);
             UI.updateFileInfo(file);
+            UI.updateFileSettingsNote(file);
             
             if (file?.analysisResult) {
                 UI.showResults({
@@ -91,14 +106,16 @@ const App = {
             }
         };
         
-        FileHandler.onProcessingProgress = (completed, total, text) => {
-            UI.updateProgress(completed, total, text);
+        FileHandler.onProcessingProgress = (completed, total, text, fileProgress, eta) => {
+            UI.updateProgress(completed, total, text, fileProgress, eta);
         };
         
-        FileHandler.onProcessingComplete = (total, errorCount) => {
+        FileHandler.onProcessingComplete = (total, errorCount, cancelledCount = 0) => {
             setTimeout(() => UI.hideProgress(), 1000);
             
-            if (errorCount > 0) {
+            if (cancelledCount > 0) {
+                UI.showToast(`Conversion cancelled, ${cancelledCount} file(s) left pending`);
+            } else if (errorCount > 0) {
                 UI.showToast(`Completed with ${errorCount} error(s)`);
             } else {
                 UI.showToast(`Converted ${total} file(s) successfully`);
@@ -138,6 +155,28 @@ const App = {
             }
         };
         
+        LovenseApi.onDevicesUpdate = (devices, selectedIds) => {
+            UI.updateDeviceStatus(devices, selectedIds);
+        };
+        
+        LovenseApi.onHealthChange = (health, info) => {
+            UI.updateHealthBadge(health, info);
+            
+            if (health === 'lost') {
+                UI.showToast('Lost the connection to Lovense Connect');
+            }
+        };
+        
+        LovenseApi.onReconnect = () => {
+            UI.showToast('Reconnected to Lovense Connect');
+            Player.resumeAfterReconnect();
+        };
+        
+        LovenseApi.onDevicesBack = (devices) => {
+            UI.showToast(`${devices.map(d => d.nickname || d.name).join(', ')} back online`);
+            Player.resumeAfterReconnect();
+        };
+        
         LovenseApi.onNetworkActivity = (entry) => {
             UI.addNetworkLog(entry);
         };
@@ -197,6 +236,170 @@ const App = {
         // Reset button
         UI.elements.resetBtn?.addEventListener('click', () => this.handleReset());
         
+        // Analysis cache manager
+        UI.elements.cacheBtn?.addEventListener('click', async () => {
+            UI.renderCacheEntries(await AnalysisCache.list());
+            UI.openCache();
+        });
+        
+        UI.elements.cacheList?.addEventListener('click', async (e) => {
+            const key = e.target.closest('button[data-key]')?.dataset.key;
+            if (!key) return;
+            await AnalysisCache.remove(key);
+            UI.renderCacheEntries(await AnalysisCache.list());
+        });
+        
+        UI.elements.cacheClearBtn?.addEventListener('click', async () => {
+            const confirmed = await UI.showConfirm('Delete all cached analyses?');
+            if (confirmed) {
+                await AnalysisCache.clear();
+                UI.renderCacheEntries([]);
+                UI.showToast('Analysis cache cleared');
+            }
+        });
+        
+        // Pattern library editor
+        UI.elements.libraryBtn?.addEventListener('click', () => {
+            UI.renderLibrary(PatternLibrary.list());
+            UI.setLibraryForm();
+            UI.openLibrary();
+        });
+        
+        UI.elements.libraryNewBtn?.addEventListener('click', () => UI.setLibraryForm());
+        
+        UI.elements.librarySaveBtn?.addEventListener('click', () => {
+            const name = UI.elements.libraryName?.value?.trim().toLowerCase() || '';
+            const originalName = UI.elements.libraryName?.dataset.original || null;
+            const steps = PatternLibrary.parseSteps(UI.elements.librarySteps?.value || '');
+            const error = PatternLibrary.save(name, steps, originalName);
+            if (error) {
+                UI.showToast(error);
+                return;
+            }
+            UI.renderLibrary(PatternLibrary.list());
+            UI.setLibraryForm(name, steps);
+            UI.showToast(`Saved pattern "${name}"`);
+        });
+        
+        UI.elements.libraryList?.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const { action, name } = button.dataset;
+            
+            if (action === 'preview') {
+                if (!LovenseApi.hasSelection()) {
+                    UI.showToast('Connect a device to preview patterns');
+                    return;
+                }
+                DeviceRouter.send(null, null, 5, PatternLibrary.toCommand(name, null, 5));
+            } else if (action === 'edit') {
+                UI.setLibraryForm(name, PatternLibrary.custom[name] || []);
+            } else if (action === 'delete') {
+                const confirmed = await UI.showConfirm(`Delete pattern "${name}"?`);
+                if (confirmed && PatternLibrary.remove(name)) {
+                    UI.renderLibrary(PatternLibrary.list());
+                    if (UI.elements.libraryName?.dataset.original === name) UI.setLibraryForm();
+                }
+            }
+        });
+        
+        UI.elements.libraryExportBtn?.addEventListener('click', () => {
+            Utils.downloadJson(PatternLibrary.exportJson(), 'vid2vibes-patterns.json');
+        });
+        
+        UI.elements.libraryImportBtn?.addEventListener('click', () => UI.elements.libraryImportInput?.click());
+        
+        UI.elements.libraryImportInput?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const { imported, skipped } = PatternLibrary.importJson(JSON.parse(await Utils.readFileAsText(file)));
+                UI.renderLibrary(PatternLibrary.list());
+                UI.showToast(`Imported ${imported} pattern(s)${skipped ? `, skipped ${skipped}` : ''}`);
+            } catch (err) {
+                console.error('Failed to import pattern library:', err);
+                UI.showToast('Not a valid pattern library file');
+            }
+        });
+        
+        // Settings presets
+        const syncPreset = () => {
+            UI.renderPresets(SettingsPresets.list(), SettingsPresets.findMatch(UI.getSettings()));
+        };
+        
+        UI.elements.settingsPreset?.addEventListener('change', () => {
+            const settings = SettingsPresets.get(UI.elements.settingsPreset.value);
+            if (settings) {
+                UI.applySettings(settings);
+                this.previewFilters();
+            }
+            syncPreset();
+        });
+        
+        // Editing any setting by hand shows which preset (if any) still matches
+        UI.elements.analysisPanel?.addEventListener('change', (e) => {
+            if (e.target.closest('.settings-grid')) syncPreset();
+        });
+        
+        UI.elements.presetSaveBtn?.addEventListener('click', () => {
+            const name = UI.elements.presetName?.value?.trim() || '';
+            const error = SettingsPresets.save(name, UI.getSettings());
+            if (error) {
+                UI.showToast(error);
+                return;
+            }
+            if (UI.elements.presetName) UI.elements.presetName.value = '';
+            syncPreset();
+            UI.showToast(`Saved preset "${name}"`);
+        });
+        
+        UI.elements.presetDeleteBtn?.addEventListener('click', async () => {
+            const name = UI.elements.settingsPreset?.value;
+            if (!name || SettingsPresets.isBuiltIn(name)) return;
+            const confirmed = await UI.showConfirm(`Delete preset "${name}"?`);
+            if (confirmed && SettingsPresets.remove(name)) syncPreset();
+        });
+        
+        UI.elements.presetExportBtn?.addEventListener('click', () => {
+            Utils.downloadJson(SettingsPresets.exportJson(), 'vid2vibes-presets.json');
+        });
+        
+        UI.elements.presetImportBtn?.addEventListener('click', () => UI.elements.presetImportInput?.click());
+        
+        UI.elements.presetImportInput?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const { imported, skipped } = SettingsPresets.importJson(JSON.parse(await Utils.readFileAsText(file)));
+                syncPreset();
+                UI.showToast(`Imported ${imported} preset(s)${skipped ? `, skipped ${skipped}` : ''}`);
+            } catch (err) {
+                console.error('Failed to import presets:', err);
+                UI.showToast('Not a valid presets file');
+            }
+        });
+        
+        // Per-file settings: the selected file keeps a snapshot of the form
+        UI.elements.presetApplyFileBtn?.addEventListener('click', () => {
+            const activeFile = FileHandler.getActiveFile();
+            if (!activeFile) return;
+            activeFile.settings = SettingsPresets.pick(UI.getSettings());
+            activeFile.presetName = SettingsPresets.findMatch(activeFile.settings);
+            FileHandler.onFilesChange?.(FileHandler.files);
+            UI.showToast('Settings kept for this file; convert or regenerate to apply');
+        });
+        
+        UI.elements.presetClearFileBtn?.addEventListener('click', () => {
+            const activeFile = FileHandler.getActiveFile();
+            if (!activeFile) return;
+            activeFile.settings = null;
+            activeFile.presetName = null;
+            FileHandler.onFilesChange?.(FileHandler.files);
+            this.previewFilters();
+        });
+        
         // Add more files
         UI.elements.addMoreBtn?.addEventListener('click', () => {
             const input = document.createElement('input');
@@ -211,6 +414,23 @@ const App = {
             input.click();
         });
         
+        // Pause / resume and cancel the conversion queue
+        UI.elements.pauseProcessingBtn?.addEventListener('click', () => {
+            if (FileHandler.isPaused) {
+                FileHandler.resumeProcessing();
+            } else {
+                FileHandler.pauseProcessing();
+            }
+            UI.setProcessingPaused(FileHandler.isPaused);
+        });
+        
+        UI.elements.cancelProcessingBtn?.addEventListener('click', () => {
+            FileHandler.cancelProcessing();
+            if (UI.elements.sidebarProgressText) {
+                UI.elements.sidebarProgressText.textContent = 'Cancelling...';
+            }
+        });
+        
         // Clear all
         UI.elements.clearAllBtn?.addEventListener('click', async () => {
             const confirmed = await UI.showConfirm('Clear all files?');
@@ -233,23 +453,22 @@ const App = {
         UI.elements.downloadJsonBtn?.addEventListener('click', () => {
             const activeFile = FileHandler.getActiveFile();
             if (activeFile?.lovenseJson) {
-                const filename = activeFile.file.name.replace(/\.[^/.]+$/, '') + '_lovense.funscript';
-                Utils.downloadJson(activeFile.lovenseJson, filename);
-                UI.showToast('Funscript downloaded!');
+                const files = Funscript.exportFiles(activeFile.lovenseJson, activeFile.file.name);
+                files.forEach(f => Utils.downloadJson(f.data, f.filename));
+                UI.showToast(files.length > 1 ? `Downloaded ${files.length} Funscript axes!` : 'Funscript downloaded!');
             }
         });
         
         // Convert all (regenerate with new settings)
-        UI.elements.convertAllBtn?.addEventListener('click', () => {
+        UI.elements.convertAllBtn?.addEventListener('click', async () => {
             const settings = UI.getSettings();
             let count = 0;
             
-            FileHandler.files.forEach((f, i) => {
-                if (f.analysisResult) {
-                    FileHandler.regeneratePatterns(i, settings);
+            for (let i = 0; i < FileHandler.files.length; i++) {
+                if (await FileHandler.regeneratePatterns(i, settings)) {
                     count++;
                 }
-            });
+            }
             
             // Update display
             const activeFile = FileHandler.getActiveFile();
@@ -271,27 +490,25 @@ const App = {
                 return;
             }
             
-            if (completedFiles.length <= 3) {
-                completedFiles.forEach(f => {
-                    const filename = f.file.name.replace(/\.[^/.]+$/, '') + '_lovense.json';
-                    Utils.downloadJson(f.lovenseJson, filename);
-                });
-                UI.showToast(`Downloaded ${completedFiles.length} JSON file(s)`);
+            const exports = completedFiles.flatMap(f => Funscript.exportFiles(f.lovenseJson, f.file.name));
+            
+            if (exports.length <= 3) {
+                exports.forEach(f => Utils.downloadJson(f.data, f.filename));
+                UI.showToast(`Downloaded ${exports.length} Funscript file(s)`);
             } else {
                 // Use JSZip for bulk download
                 UI.showToast('Creating zip file...');
                 const zip = new JSZip();
                 
-                completedFiles.forEach(f => {
-                    const filename = f.file.name.replace(/\.[^/.]+$/, '') + '_lovense.json';
-                    zip.file(filename, JSON.stringify(f.lovenseJson, null, 2));
+                exports.forEach(f => {
+                    zip.file(f.filename, JSON.stringify(f.data, null, 2));
                 });
                 
                 const blob = await zip.generateAsync({ type: 'blob' });
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `lovense_patterns_${completedFiles.length}_files.zip`;
+                a.download = `funscripts_${completedFiles.length}_files.zip`;
                 a.click();
                 URL.revokeObjectURL(url);
                 
@@ -311,9 +528,39 @@ const App = {
             UI.showToast('Disconnected');
         });
         
-        // Device select
-        UI.elements.deviceSelect?.addEventListener('change', (e) => {
-            LovenseApi.setActiveDevice(e.target.value);
+        // Network scan ranges (empty restores the defaults)
+        UI.elements.scanRangesInput?.addEventListener('change', (e) => {
+            const error = LovenseApi.setScanRanges(e.target.value);
+            UI.showToast(error || 'Scan ranges saved');
+        });
+        
+        // Device selection (any subset of the connected toys)
+        UI.elements.deviceList?.addEventListener('change', () => {
+            const checked = UI.elements.deviceList.querySelectorAll('input[type="checkbox"]:checked');
+            LovenseApi.setSelectedDevices(Array.from(checked, input => input.value));
+        });
+        
+        // Per-device routing
+        UI.elements.routingBtn?.addEventListener('click', () => {
+            this.renderRouting();
+            UI.openRouting();
+        });
+        
+        UI.elements.routingList?.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-device]');
+            if (!row) return;
+            const field = (name) => row.querySelector(`[data-field="${name}"]`);
+            const route = DeviceRouter.setRoute(row.dataset.device, {
+                track: field('track')?.value,
+                min: field('min')?.value,
+                max: field('max')?.value,
+                invert: field('invert')?.checked,
+                offsetMs: field('offsetMs')?.value
+            });
+            UI.setRoutingRow(row, route);
+            
+            // Apply straight away rather than at the next command
+            if (Player.isPlaying) Player.sendPatternAtCurrentTime();
         });
         
         // Player controls
@@ -385,16 +632,68 @@ const App = {
         window.addEventListener('resize', Utils.debounce(() => {
             const activeFile = FileHandler.getActiveFile();
             if (activeFile?.analysisResult && UI.elements.waveformCanvas) {
-                Visualizer.drawConverterWaveform(UI.elements.waveformCanvas, activeFile.analysisResult);
+                Visualizer.drawConverterWaveform(UI.elements.waveformCanvas, {
+                    ...activeFile.analysisResult,
+                    lovenseJson: activeFile.lovenseJson
+                });
             }
         }, 200));
+        
+        // Output filters - preview on the waveform without touching the converted pattern
+        const previewFilters = Utils.debounce(() => this.previewFilters(), 150);
+        ['smoothing', 'slewLimit', 'deadband', 'minHoldMs'].forEach(id => {
+            UI.elements[id]?.addEventListener('input', previewFilters);
+            UI.elements[id]?.addEventListener('change', previewFilters);
+        });
+    },
+
+    /**
+     * Redraw the active file's waveform with a pattern generated from the current settings
+     * (or the file's own settings; Convert applies it)
+     */
+    previewFilters() {
+        const activeFile = FileHandler.getActiveFile();
+        if (!activeFile?.analysisResult || !UI.elements.waveformCanvas) return;
+        
+        Visualizer.drawConverterWaveform(UI.elements.waveformCanvas, {
+            ...activeFile.analysisResult,
+            lovenseJson: PatternGenerator.generate(
+                activeFile.analysisResult,
+                FileHandler.resolveSettings(activeFile, UI.getSettings())
+            )
+        });
+    },
+
+    /**
+     * Fill the routing modal for the connected devices and the current queue item's tracks
+     */
+    renderRouting() {
+        const routes = {};
+        LovenseApi.devices.forEach(d => { routes[d.id] = DeviceRouter.getRoute(d.id); });
+        UI.renderRouting(LovenseApi.devices, routes, DeviceRouter.getTrackOptions(Player.getCurrentItem()));
     },
 
     /**
      * Handle files added in convert view
      */
-    onFilesAdded() {
+    async onFilesAdded() {
         UI.elements.analysisPanel?.classList.add('visible');
+        
+        // Videos paired with an exported pattern convert with the settings embedded in it
+        await FileHandler.readEmbeddedSettings();
+        
+        // Files analysed in an earlier session come straight back from the cache
+        const restored = await FileHandler.restoreCachedResults(UI.getSettings());
+        if (restored > 0) {
+            const activeFile = FileHandler.getActiveFile();
+            if (activeFile?.analysisResult) {
+                UI.showResults({
+                    ...activeFile.analysisResult,
+                    lovenseJson: activeFile.lovenseJson
+                });
+            }
+            UI.showToast(`Loaded ${restored} file(s) from the analysis cache`);
+        }
     },
     
     /**
@@ -412,9 +711,10 @@ const App = {
         
         try {
             // For play view uploads, try to load JSON scripts for files that have them
+            const settings = UI.getSettings();
             for (const file of FileHandler.files) {
                 if (file.jsonFile && !file.script) {
-                    await FileHandler.loadScriptFromJson(file);
+                    await FileHandler.loadScriptFromJson(file, settings);
                     if (file.script) {
                         file.status = 'complete';
                     }
@@ -429,7 +729,6 @@ const App = {
             if (filesNeedingGeneration.length > 0) {
                 UI.showToast(`Auto-generating patterns for ${filesNeedingGeneration.length} file(s)...`);
                 
-                const settings = UI.getSettings();
                 await FileHandler.processPendingFiles(settings);
             }
         } finally {
@@ -485,7 +784,7 @@ const App = {
             const activeFile = FileHandler.getActiveFile();
             if (activeFile?.analysisResult) {
                 const settings = UI.getSettings();
-                FileHandler.regeneratePatterns(FileHandler.activeFileIndex, settings);
+                await FileHandler.regeneratePatterns(FileHandler.activeFileIndex, settings);
                 UI.showResults({
                     ...activeFile.analysisResult,
                     lovenseJson: activeFile.lovenseJson
@@ -5,14 +5,25 @@
 
 const AudioAnalyzer = {
     workerUrl: null,
+    captureProcessorUrl: null,
+    // Rate the mixed channel is analysed at (the highs band ends at its Nyquist frequency)
+    analysisSampleRate: 16000,
+    // Playback speed of the capture fallback (browsers keep audio up to 4x)
+    captureSpeed: 2,
+    idleWorkers: [],
+    nextTaskId: 1,
 
     /**
-     * Initialize the Web Worker
+     * Initialize the Web Worker (the worker script is built once and shared by the pool)
      */
     init() {
+        if (this.workerUrl) return;
+        
         const workerCode = `
+            ${Loudness.toWorkerSource()}
+            
             self.onmessage = function(e) {
-                const { channelData, sampleRate, settings, fileIndex } = e.data;
+                const { channelData, sampleRate, settings, taskId } = e.data;
                 
                 try {
                     const duration = channelData.length / sampleRate;
@@ -23,6 +34,17 @@ const AudioAnalyzer = {
                     const windowSize = Math.floor(sampleRate * 0.02); // 20ms window for RMS
                     const volumeData = [];
                     
+                    // Low-frequency energy (one-pole low-pass, ~150Hz) summed per 10ms block
+                    // so a 20ms window is two neighbouring blocks - no filtered copy of the audio
+                    const blockSize = Math.floor(sampleRate * analysisStep);
+                    const lowAlpha = 1 - Math.exp(-2 * Math.PI * 150 / sampleRate);
+                    const lowBlocks = new Float64Array(Math.ceil(channelData.length / blockSize) + 1);
+                    let lowState = 0;
+                    for (let i = 0; i < channelData.length; i++) {
+                        lowState += lowAlpha * (channelData[i] - lowState);
+                        lowBlocks[Math.floor(i / blockSize)] += lowState * lowState;
+                    }
+                    
                     for (let t = 0; t < duration; t += analysisStep) {
                         const startSample = Math.floor(t * sampleRate);
                         const endSample = Math.min(startSample + windowSize, channelData.length);
@@ -32,25 +54,53 @@ const AudioAnalyzer = {
                             sum += channelData[i] ** 2;
                         }
                         const rms = Math.sqrt(sum / (endSample - startSample));
-                        volumeData.push({ time: t, volume: rms });
+                        
+                        const block = volumeData.length;
+                        const lowSum = lowBlocks[block] + (lowBlocks[block + 1] || 0);
+                        const lowRms = Math.sqrt(lowSum / (endSample - startSample));
+                        
+                        volumeData.push({ time: t, volume: rms, lowVolume: lowRms });
                     }
                     
-                    // Normalize volume to 0-1
-                    const maxVolume = Math.max(...volumeData.map(v => v.volume));
-                    if (maxVolume > 0) {
-                        volumeData.forEach(v => { v.normalized = v.volume / maxVolume; });
-                    } else {
-                        volumeData.forEach(v => { v.normalized = 0; });
-                    }
+                    // Perceptual loudness per frame (K-weighted, BS.1770-style) and the gated programme loudness
+                    const { frameLoudness, integratedLoudness } = Loudness.measureLoudness(channelData, sampleRate, analysisStep, volumeData.length);
+                    
+                    // Normalize to 0-1 against the 95th percentile instead of the single loudest frame,
+                    // so one explosion or clipped spike doesn't flatten the rest of the video
+                    const amplitudes = frameLoudness.map(db => db > Loudness.absoluteGateLufs ? 10 ** (db / 20) : 0);
+                    const { levels, reference } = Loudness.normalizeLevels(amplitudes);
+                    const lowLevels = Loudness.normalizeLevels(volumeData.map(v => v.lowVolume)).levels;
+                    volumeData.forEach((v, i) => {
+                        v.loudness = Math.round(frameLoudness[i] * 100) / 100;
+                        v.normalized = levels[i];
+                        v.low = lowLevels[i];
+                    });
+                    
+                    // Step 1b: Per-band energy envelopes (and spectral flux) on the same 10ms grid
+                    const { bands, flux, midShare, flatness } = computeBands(channelData, sampleRate, analysisStep, volumeData.length);
                     
                     // Step 2: Detect beats using onset detection
-                    const onsets = detectOnsets(channelData, sampleRate);
+                    const onsets = settings.onsetDetector === 'flux'
+                        ? detectFluxOnsets(flux, analysisStep)
+                        : detectOnsets(channelData, sampleRate);
+                    
+                    // Step 3: Windowed tempo estimation, so tempo changes and song boundaries are followed
+                    const novelty = buildNovelty(flux, analysisStep);
+                    const tempoCurve = estimateTempoCurve(novelty, analysisStep);
+                    const bpm = Math.round(median(tempoCurve.map(p => p.bpm)));
+                    const beatInterval = 60 / bpm;
                     
-                    // Step 3: Estimate BPM from onset intervals
-                    const { bpm, beatInterval } = estimateBPM(onsets, duration);
+                    // Step 4: Beat tracking along the tempo curve, snapped onto the detected onsets
+                    const trackedBeats = trackBeats(novelty, analysisStep, tempoCurve);
+                    const beatGrid = snapBeats(trackedBeats, onsets.map(o => o.time));
                     
-                    // Step 4: Generate beat grid based on detected tempo
-                    const beatGrid = generateBeatGrid(onsets, beatInterval, duration);
+                    // Step 4b: Sections from novelty in beat-synchronous band energy, then bar phase per section
+                    const beatFeatures = getBeatFeatures(bands, volumeData, beatGrid, analysisStep, duration);
+                    const sections = detectSections(beatFeatures, beatGrid, duration);
+                    const downbeats = estimateDownbeats(beatFeatures, beatGrid, sections);
+                    
+                    // Step 4c: Per-segment features for silence / speech / music classification
+                    const segmentFeatures = getSegmentFeatures(channelData, sampleRate, volumeData, midShare, flatness, analysisStep);
                     
                     // Step 5: Generate pattern data at the requested interval
                     const patternData = [];
@@ -75,7 +125,7 @@ const AudioAnalyzer = {
                     }
                     
                     self.postMessage({
-                        fileIndex,
+                        taskId,
                         success: true,
                         result: {
                             duration,
@@ -83,16 +133,219 @@ const AudioAnalyzer = {
                             bpm,
                             beatInterval,
                             beatCount: beatGrid.length,
+                            beats: beatGrid,
+                            downbeats,
+                            beatsPerBar: BEATS_PER_BAR,
+                            sections,
+                            segmentFeatures,
+                            tempoCurve,
                             patternData,
-                            volumeData
+                            volumeData,
+                            integratedLoudness,
+                            loudnessReference: reference > 0 ? Math.round(200 * Math.log10(reference)) / 10 : null,
+                            bands,
+                            onsets,
+                            onsetDetector: settings.onsetDetector === 'flux' ? 'flux' : 'energy'
                         }
                     });
                     
                 } catch (err) {
-                    self.postMessage({ fileIndex, success: false, error: err.message });
+                    self.postMessage({ taskId, success: false, error: err.message });
                 }
             };
             
+            // Band edges in Hz - sub-bass carries the kick, highs the hi-hats
+            const BAND_EDGES = {
+                subBass: [20, 60],
+                bass: [60, 250],
+                mids: [250, 4000],
+                highs: [4000, 8000]
+            };
+            const FFT_SIZE = 2048;
+            const BEATS_PER_BAR = 4;
+            const SECTION_KERNEL_BEATS = 16; // 4 bars either side of a candidate boundary
+            const SEGMENT_SEC = 0.5;
+            
+            /**
+             * In-place iterative radix-2 FFT
+             */
+            function fft(re, im) {
+                const n = re.length;
+                
+                for (let i = 1, j = 0; i < n; i++) {
+                    let bit = n >> 1;
+                    for (; j & bit; bit >>= 1) j ^= bit;
+                    j ^= bit;
+                    if (i < j) {
+                        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+                        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+                    }
+                }
+                
+                for (let len = 2; len <= n; len <<= 1) {
+                    const angle = -2 * Math.PI / len;
+                    const wRe = Math.cos(angle);
+                    const wIm = Math.sin(angle);
+                    const half = len >> 1;
+                    for (let i = 0; i < n; i += len) {
+                        let curRe = 1;
+                        let curIm = 0;
+                        for (let k = 0; k < half; k++) {
+                            const aRe = re[i + k + half] * curRe - im[i + k + half] * curIm;
+                            const aIm = re[i + k + half] * curIm + im[i + k + half] * curRe;
+                            re[i + k + half] = re[i + k] - aRe;
+                            im[i + k + half] = im[i + k] - aIm;
+                            re[i + k] += aRe;
+                            im[i + k] += aIm;
+                            const nextRe = curRe * wRe - curIm * wIm;
+                            curIm = curRe * wIm + curIm * wRe;
+                            curRe = nextRe;
+                        }
+                    }
+                }
+            }
+            
+            /**
+             * Hann-windowed FFT frames centred on each analysis step, summed into band energies
+             * Returns per-band Float32Array envelopes normalized to 0-1
+             */
+            function computeBands(channelData, sampleRate, hopSec, frameCount) {
+                const binHz = sampleRate / FFT_SIZE;
+                const nyquistBin = FFT_SIZE / 2;
+                const window = new Float32Array(FFT_SIZE);
+                for (let i = 0; i < FFT_SIZE; i++) {
+                    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1));
+                }
+                
+                const names = Object.keys(BAND_EDGES);
+                const ranges = names.map(name => {
+                    const [lo, hi] = BAND_EDGES[name];
+                    return [
+                        Math.max(1, Math.round(lo / binHz)),
+                        Math.min(nyquistBin, Math.round(hi / binHz))
+                    ];
+                });
+                
+                const envelopes = names.map(() => new Float32Array(frameCount));
+                const midsBand = names.indexOf('mids');
+                const midShare = new Float32Array(frameCount);
+                const flatness = new Float32Array(frameCount);
+                const re = new Float32Array(FFT_SIZE);
+                const im = new Float32Array(FFT_SIZE);
+                
+                // Spectral flux: summed positive change of log magnitude between frames
+                const flux = new Float32Array(frameCount);
+                const fluxTopBin = ranges[ranges.length - 1][1];
+                let prevLogMag = new Float32Array(fluxTopBin);
+                let logMag = new Float32Array(fluxTopBin);
+                // Centre frames on the 20ms RMS window used for volumeData
+                const centreOffset = Math.floor(sampleRate * 0.01);
+                
+                for (let frame = 0; frame < frameCount; frame++) {
+                    const centre = Math.floor(frame * hopSec * sampleRate) + centreOffset;
+                    const start = centre - FFT_SIZE / 2;
+                    
+                    for (let i = 0; i < FFT_SIZE; i++) {
+                        const idx = start + i;
+                        re[i] = idx >= 0 && idx < channelData.length ? channelData[idx] * window[i] : 0;
+                        im[i] = 0;
+                    }
+                    fft(re, im);
+                    
+                    let totalEnergy = 0;
+                    for (let b = 0; b < ranges.length; b++) {
+                        const [lo, hi] = ranges[b];
+                        let energy = 0;
+                        for (let k = lo; k < hi; k++) {
+                            energy += re[k] * re[k] + im[k] * im[k];
+                        }
+                        envelopes[b][frame] = Math.sqrt(energy);
+                        totalEnergy += energy;
+                    }
+                    // Share of energy in the voice band, before per-band normalisation
+                    midShare[frame] = totalEnergy > 0 ? (envelopes[midsBand][frame] ** 2) / totalEnergy : 0;
+                    
+                    let frameFlux = 0;
+                    let logPowerSum = 0;
+                    let powerSum = 0;
+                    for (let k = 1; k < fluxTopBin; k++) {
+                        const power = re[k] * re[k] + im[k] * im[k];
+                        logMag[k] = Math.log1p(Math.sqrt(power));
+                        const rise = logMag[k] - prevLogMag[k];
+                        if (rise > 0 && frame > 0) frameFlux += rise;
+                        logPowerSum += Math.log(power + 1e-12);
+                        powerSum += power + 1e-12;
+                    }
+                    flux[frame] = frameFlux;
+                    // Spectral flatness: geometric over arithmetic mean power (1 = noise, near 0 = tonal)
+                    flatness[frame] = Math.exp(logPowerSum / (fluxTopBin - 1)) / (powerSum / (fluxTopBin - 1));
+                    [prevLogMag, logMag] = [logMag, prevLogMag];
+                }
+                
+                const bands = { hopSec };
+                names.forEach((name, b) => {
+                    bands[name] = Loudness.normalizeLevels(envelopes[b]).levels;
+                });
+                
+                return { bands, flux, midShare, flatness };
+            }
+            
+            /**
+             * Spectral-flux onset detection with an adaptive median threshold and peak picking
+             * Returns [{ time, strength }] with strength 0-1 (how far the peak clears the threshold)
+             */
+            function detectFluxOnsets(flux, hopSec) {
+                const n = flux.length;
+                let maxFlux = 0;
+                for (let i = 0; i < n; i++) if (flux[i] > maxFlux) maxFlux = flux[i];
+                if (maxFlux === 0) return [];
+                
+                const medianRadius = Math.round(0.15 / hopSec); // ~300ms median window
+                const peakRadius = 3; // local max over +/-30ms
+                const lambda = 1.4; // threshold multiplier over the local median
+                const delta = 0.04; // absolute floor (flux normalized to 0-1)
+                const minGap = 0.05;
+                
+                const norm = new Float32Array(n);
+                for (let i = 0; i < n; i++) norm[i] = flux[i] / maxFlux;
+                
+                const windowValues = [];
+                const candidates = [];
+                for (let i = 0; i < n; i++) {
+                    windowValues.length = 0;
+                    const from = Math.max(0, i - medianRadius);
+                    const to = Math.min(n - 1, i + medianRadius);
+                    for (let j = from; j <= to; j++) windowValues.push(norm[j]);
+                    windowValues.sort((a, b) => a - b);
+                    const median = windowValues[windowValues.length >> 1];
+                    const threshold = delta + lambda * median;
+                    
+                    if (norm[i] <= threshold) continue;
+                    
+                    let isPeak = true;
+                    for (let j = Math.max(0, i - peakRadius); j <= Math.min(n - 1, i + peakRadius); j++) {
+                        if (norm[j] > norm[i]) { isPeak = false; break; }
+                    }
+                    if (isPeak) candidates.push({ time: i * hopSec, excess: norm[i] - threshold });
+                }
+                
+                const onsets = [];
+                for (const c of candidates) {
+                    const last = onsets[onsets.length - 1];
+                    if (last && c.time - last.time <= minGap) {
+                        if (c.excess > last.excess) onsets[onsets.length - 1] = c;
+                        continue;
+                    }
+                    onsets.push(c);
+                }
+                
+                const maxExcess = onsets.reduce((m, o) => Math.max(m, o.excess), 0);
+                return onsets.map(o => ({
+                    time: o.time,
+                    strength: maxExcess > 0 ? o.excess / maxExcess : 0
+                }));
+            }
+            
             function detectOnsets(channelData, sampleRate) {
                 const onsets = [];
                 const frameSize = Math.floor(sampleRate * 0.01);
@@ -116,94 +369,444 @@ const AudioAnalyzer = {
                     
                     if (energy > avgEnergy * 1.5 && energy > prevEnergy * 1.3) {
                         const time = i / sampleRate;
-                        if (onsets.length === 0 || time - onsets[onsets.length - 1] > 0.05) {
-                            onsets.push(time);
+                        if (onsets.length === 0 || time - onsets[onsets.length - 1].time > 0.05) {
+                            onsets.push({ time, ratio: energy / avgEnergy });
                         }
                     }
                     
                     prevEnergy = energy;
                 }
                 
-                return onsets;
+                // Strength: how far above the running average the onset jumped, scaled 0-1
+                const maxRatio = onsets.reduce((m, o) => Math.max(m, o.ratio), 0);
+                return onsets.map(o => ({
+                    time: o.time,
+                    strength: maxRatio > 1.5 ? (o.ratio - 1.5) / (maxRatio - 1.5) : 1
+                }));
             }
             
-            function estimateBPM(onsets, duration) {
-                if (onsets.length < 4) {
-                    return { bpm: 120, beatInterval: 0.5 };
+            /**
+             * Onset novelty curve for tempo work: spectral flux with its local mean removed
+             * (half-wave rectified, scaled to unit standard deviation)
+             */
+            function buildNovelty(flux, hopSec) {
+                const n = flux.length;
+                const radius = Math.round(0.2 / hopSec);
+                const novelty = new Float32Array(n);
+                
+                // Running sum over a +/-200ms window for the local mean
+                let sum = 0;
+                let from = 0;
+                let to = -1;
+                for (let i = 0; i < n; i++) {
+                    while (to < Math.min(n - 1, i + radius)) sum += flux[++to];
+                    while (from < i - radius) sum -= flux[from++];
+                    novelty[i] = Math.max(0, flux[i] - sum / (to - from + 1));
                 }
                 
-                const intervals = [];
-                for (let i = 1; i < onsets.length; i++) {
-                    intervals.push(onsets[i] - onsets[i - 1]);
+                let sq = 0;
+                for (let i = 0; i < n; i++) sq += novelty[i] * novelty[i];
+                const std = Math.sqrt(sq / Math.max(1, n));
+                if (std > 0) {
+                    for (let i = 0; i < n; i++) novelty[i] /= std;
                 }
+                return novelty;
+            }
+            
+            /**
+             * Windowed tempo estimate: autocorrelation of the novelty curve over sliding
+             * 10s windows (2.5s hop), 60-180 BPM, weighted towards ~120 BPM to settle octave errors
+             * Returns [{ time, bpm }] with time at each window centre
+             */
+            function estimateTempoCurve(novelty, hopSec) {
+                const n = novelty.length;
+                const windowFrames = Math.round(10 / hopSec);
+                const hopFrames = Math.round(2.5 / hopSec);
+                const minLag = Math.round(60 / 180 / hopSec);
+                const maxLag = Math.round(60 / 60 / hopSec);
+                const acf = new Float32Array(maxLag * 2 + 2);
+                const raw = [];
                 
-                const binSize = 0.02;
-                const histogram = {};
+                for (let start = 0; start === 0 || start + windowFrames / 2 < n; start += hopFrames) {
+                    const end = Math.min(n, start + windowFrames);
+                    const time = ((start + end) / 2) * hopSec;
+                    
+                    let energy = 0;
+                    for (let i = start; i < end; i++) energy += novelty[i];
+                    if (energy / Math.max(1, end - start) < 0.05) {
+                        raw.push({ time, bpm: null });
+                        continue;
+                    }
+                    
+                    const topLag = Math.min(acf.length - 1, end - start - 1);
+                    for (let lag = minLag; lag <= topLag; lag++) {
+                        let s = 0;
+                        for (let i = start; i + lag < end; i++) s += novelty[i] * novelty[i + lag];
+                        acf[lag] = s / (end - start - lag);
+                    }
+                    
+                    // Reward lags whose double also lines up, then apply a log-normal tempo prior
+                    let bestLag = 0;
+                    let bestScore = -Infinity;
+                    const scores = new Float32Array(maxLag + 2);
+                    for (let lag = minLag; lag <= Math.min(maxLag + 1, topLag); lag++) {
+                        const harmonic = lag * 2 <= topLag ? acf[lag * 2] : 0;
+                        const octaves = Math.log2((60 / (lag * hopSec)) / 120);
+                        scores[lag] = (acf[lag] + 0.5 * harmonic) * Math.exp(-0.5 * octaves * octaves);
+                        if (lag <= maxLag && scores[lag] > bestScore) {
+                            bestScore = scores[lag];
+                            bestLag = lag;
+                        }
+                    }
+                    if (bestLag === 0 || bestScore <= 0) {
+                        raw.push({ time, bpm: null });
+                        continue;
+                    }
+                    
+                    // Parabolic interpolation for sub-frame lag precision
+                    let lag = bestLag;
+                    if (bestLag > minLag && bestLag < Math.min(maxLag + 1, topLag)) {
+                        const a = scores[bestLag - 1];
+                        const b = scores[bestLag];
+                        const c = scores[bestLag + 1];
+                        const denom = a - 2 * b + c;
+                        if (denom < 0) lag += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom));
+                    }
+                    raw.push({ time, bpm: 60 / (lag * hopSec) });
+                }
                 
-                intervals.forEach(interval => {
-                    if (interval >= 0.25 && interval <= 1.0) {
-                        const bin = Math.round(interval / binSize) * binSize;
-                        histogram[bin] = (histogram[bin] || 0) + 1;
+                // Fill silent windows from their neighbours
+                const known = raw.filter(w => w.bpm !== null);
+                if (known.length === 0) return [{ time: 0, bpm: 120 }];
+                let last = known[0].bpm;
+                raw.forEach(w => {
+                    if (w.bpm === null) w.bpm = last;
+                    else last = w.bpm;
+                });
+                
+                // Keep octave continuity between windows, then median-of-3 to drop stray estimates
+                for (let i = 1; i < raw.length; i++) {
+                    const ratio = Math.log2(raw[i].bpm / raw[i - 1].bpm);
+                    if (Math.abs(Math.abs(ratio) - 1) < 0.08) {
+                        const folded = ratio > 0 ? raw[i].bpm / 2 : raw[i].bpm * 2;
+                        if (folded >= 60 && folded <= 180) raw[i].bpm = folded;
                     }
+                }
+                return raw.map((w, i) => {
+                    const neighbours = [raw[Math.max(0, i - 1)].bpm, w.bpm, raw[Math.min(raw.length - 1, i + 1)].bpm]
+                        .sort((a, b) => a - b);
+                    return { time: Math.round(w.time * 100) / 100, bpm: Math.round(neighbours[1] * 10) / 10 };
                 });
+            }
+            
+            /**
+             * Dynamic-programming beat tracking (Ellis 2007): each frame's score is its novelty plus
+             * the best predecessor score, penalised by how far the gap strays from the local beat period
+             * Returns beat times in seconds
+             */
+            function trackBeats(novelty, hopSec, tempoCurve) {
+                const n = novelty.length;
+                if (n === 0) return [];
                 
-                let maxCount = 0;
-                let bestInterval = 0.5;
+                const tightness = 100;
+                // Beat period in frames, linearly interpolated along the tempo curve
+                const period = new Float32Array(n);
+                const last = tempoCurve[tempoCurve.length - 1];
+                for (let i = 0, c = 0; i < n; i++) {
+                    const time = i * hopSec;
+                    while (c < tempoCurve.length - 1 && tempoCurve[c + 1].time < time) c++;
+                    const a = tempoCurve[c];
+                    const b = tempoCurve[c + 1];
+                    let bpm = a.bpm;
+                    if (time >= last.time) bpm = last.bpm;
+                    else if (b && time > a.time) bpm = a.bpm + (b.bpm - a.bpm) * ((time - a.time) / (b.time - a.time));
+                    period[i] = 60 / bpm / hopSec;
+                }
                 
-                for (const [interval, count] of Object.entries(histogram)) {
-                    if (count > maxCount) {
-                        maxCount = count;
-                        bestInterval = parseFloat(interval);
+                const score = new Float32Array(n);
+                const backlink = new Int32Array(n).fill(-1);
+                for (let t = 0; t < n; t++) {
+                    const tau = period[t];
+                    const from = Math.max(0, t - Math.round(2 * tau));
+                    const to = t - Math.round(tau / 2);
+                    
+                    let best = -Infinity;
+                    let bestPrev = -1;
+                    for (let p = from; p <= to; p++) {
+                        const deviation = Math.log((t - p) / tau);
+                        const candidate = score[p] - tightness * deviation * deviation;
+                        if (candidate > best) {
+                            best = candidate;
+                            bestPrev = p;
+                        }
                     }
+                    
+                    score[t] = novelty[t] + (bestPrev >= 0 ? best : 0);
+                    backlink[t] = bestPrev;
                 }
                 
-                let bpm = 60 / bestInterval;
-                
-                while (bpm < 80 && bpm > 0) bpm *= 2;
-                while (bpm > 180) bpm /= 2;
+                // Start from the best-scoring frame within the last beat period and walk back
+                let t = n - 1;
+                for (let i = Math.max(0, n - Math.round(period[n - 1])); i < n; i++) {
+                    if (score[i] > score[t]) t = i;
+                }
+                const beats = [];
+                while (t >= 0) {
+                    beats.push(Math.round(t * hopSec * 1000) / 1000);
+                    t = backlink[t];
+                }
+                return beats.reverse();
+            }
+            
+            /**
+             * Move each beat onto the closest onset within 15% of its local beat length
+             */
+            function snapBeats(beats, onsetTimes) {
+                if (onsetTimes.length === 0) return beats;
                 
-                const beatInterval = 60 / bpm;
+                let o = 0;
+                return beats.map((beat, i) => {
+                    const next = beats[i + 1] ?? beat + (beat - (beats[i - 1] ?? beat - 0.5));
+                    const snapThreshold = (next - beat) * 0.15;
+                    
+                    while (o < onsetTimes.length - 1 && onsetTimes[o + 1] <= beat) o++;
+                    let closest = beat;
+                    let minDist = snapThreshold;
+                    for (let j = o; j < Math.min(onsetTimes.length, o + 2); j++) {
+                        const dist = Math.abs(onsetTimes[j] - beat);
+                        if (dist < minDist) {
+                            minDist = dist;
+                            closest = onsetTimes[j];
+                        }
+                    }
+                    return Math.round(closest * 1000) / 1000;
+                });
+            }
+            
+            /**
+             * Mean of values[from..to), clamped to the array
+             */
+            function rangeMean(values, from, to) {
+                from = Math.max(0, from);
+                to = Math.min(values.length, to);
+                if (to <= from) return 0;
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += values[i];
+                return sum / (to - from);
+            }
+            
+            /**
+             * Per-beat band energies, loudness and low-frequency attack (kick right on the beat)
+             */
+            function getBeatFeatures(bands, volumeData, beats, hopSec, duration) {
+                const names = Object.keys(BAND_EDGES);
+                const loudness = volumeData.map(v => v.normalized);
+                const cueFrames = Math.max(1, Math.round(0.1 / hopSec));
+                const low = new Float32Array(loudness.length);
+                for (let i = 0; i < low.length; i++) low[i] = Math.max(bands.subBass[i], bands.bass[i]);
                 
-                return { bpm: Math.round(bpm), beatInterval };
+                return beats.map((beat, i) => {
+                    const endTime = beats[i + 1] ?? Math.min(duration, beat + (beat - (beats[i - 1] ?? beat - 0.5)));
+                    const start = Math.floor(beat / hopSec);
+                    const end = Math.max(start + 1, Math.floor(endTime / hopSec));
+                    
+                    return {
+                        vector: names.map(name => rangeMean(bands[name], start, end)),
+                        loudness: rangeMean(loudness, start, end),
+                        attack: rangeMean(low, start, start + cueFrames) - rangeMean(low, start - cueFrames, start)
+                    };
+                });
             }
             
-            function generateBeatGrid(onsets, beatInterval, duration) {
-                if (onsets.length === 0) {
-                    const beats = [];
-                    for (let t = 0; t < duration; t += beatInterval) {
-                        beats.push(t);
+            /**
+             * Split the track where the band-energy mix changes (verse -> chorus, drop, breakdown)
+             * Novelty at a beat is the distance between the mean features of the 4 bars before and after it
+             * Returns [{ start, end, startBeat, energy, level }] with energy relative to the loudest section
+             */
+            function detectSections(features, beats, duration) {
+                const kernel = SECTION_KERNEL_BEATS;
+                const boundaries = [0];
+                
+                if (features.length >= kernel * 3) {
+                    // Log-compress and standardise each dimension so quiet bands still count
+                    const data = features.map(f => f.vector.concat(f.loudness).map(v => Math.log(1e-3 + v)));
+                    const dims = data[0].length;
+                    for (let d = 0; d < dims; d++) {
+                        let sum = 0;
+                        let sumSq = 0;
+                        data.forEach(row => { sum += row[d]; sumSq += row[d] * row[d]; });
+                        const mean = sum / data.length;
+                        const std = Math.sqrt(Math.max(0, sumSq / data.length - mean * mean)) || 1;
+                        data.forEach(row => { row[d] = (row[d] - mean) / std; });
+                    }
+                    
+                    const prefix = [new Float64Array(dims)];
+                    data.forEach((row, i) => {
+                        const next = new Float64Array(prefix[i]);
+                        for (let d = 0; d < dims; d++) next[d] += row[d];
+                        prefix.push(next);
+                    });
+                    
+                    const novelty = new Float32Array(data.length);
+                    for (let i = kernel; i <= data.length - kernel; i++) {
+                        let dist = 0;
+                        for (let d = 0; d < dims; d++) {
+                            const before = (prefix[i][d] - prefix[i - kernel][d]) / kernel;
+                            const after = (prefix[i + kernel][d] - prefix[i][d]) / kernel;
+                            dist += (after - before) ** 2;
+                        }
+                        novelty[i] = Math.sqrt(dist);
+                    }
+                    
+                    // Keep strong local maxima, at least 4 bars apart, strongest first
+                    const valid = Array.from(novelty.subarray(kernel, data.length - kernel + 1));
+                    const mean = valid.reduce((a, b) => a + b, 0) / valid.length;
+                    const std = Math.sqrt(valid.reduce((a, b) => a + (b - mean) ** 2, 0) / valid.length);
+                    const threshold = mean + 0.5 * std;
+                    const halfKernel = kernel >> 1;
+                    
+                    const candidates = [];
+                    for (let i = kernel; i <= data.length - kernel; i++) {
+                        if (novelty[i] < threshold || novelty[i] < 1) continue;
+                        let isPeak = true;
+                        for (let j = Math.max(kernel, i - halfKernel); j <= Math.min(data.length - kernel, i + halfKernel); j++) {
+                            if (novelty[j] > novelty[i]) { isPeak = false; break; }
+                        }
+                        if (isPeak) candidates.push(i);
                     }
-                    return beats;
+                    candidates.sort((a, b) => novelty[b] - novelty[a]).forEach(i => {
+                        if (boundaries.every(b => Math.abs(b - i) >= kernel)) boundaries.push(i);
+                    });
+                    boundaries.sort((a, b) => a - b);
                 }
                 
-                const beats = [];
-                const firstOnset = onsets[0];
+                const sections = boundaries.map((startBeat, s) => {
+                    const endBeat = s + 1 < boundaries.length ? boundaries[s + 1] : features.length;
+                    let energy = 0;
+                    for (let b = startBeat; b < endBeat; b++) energy += features[b].loudness;
+                    return {
+                        start: s === 0 ? 0 : beats[startBeat],
+                        end: s + 1 < boundaries.length ? beats[endBeat] : duration,
+                        startBeat,
+                        energy: endBeat > startBeat ? energy / (endBeat - startBeat) : 0
+                    };
+                });
                 
-                for (let t = firstOnset; t >= 0; t -= beatInterval) {
-                    beats.unshift(t);
-                }
+                // Label each section against the typical section loudness
+                const loudest = Math.max(...sections.map(s => s.energy)) || 1;
+                const typical = median(sections.map(s => s.energy));
+                sections.forEach(section => {
+                    const ratio = typical > 0 ? section.energy / typical : 1;
+                    section.level = ratio < 0.75 ? 'low' : ratio > 1.15 ? 'high' : 'mid';
+                    section.energy = Math.round((section.energy / loudest) * 1000) / 1000;
+                });
                 
-                for (let t = firstOnset + beatInterval; t < duration; t += beatInterval) {
-                    beats.push(t);
-                }
+                return sections;
+            }
+            
+            /**
+             * Downbeat times: within each section, the bar phase whose beats carry the strongest
+             * low-frequency attack (the kick usually lands on the one)
+             */
+            function estimateDownbeats(features, beats, sections) {
+                const downbeats = [];
                 
-                const snapThreshold = beatInterval * 0.15;
-                const snappedBeats = beats.map(beat => {
-                    let closest = beat;
-                    let minDist = Infinity;
+                sections.forEach((section, s) => {
+                    const endBeat = s + 1 < sections.length ? sections[s + 1].startBeat : beats.length;
+                    let bestPhase = 0;
+                    let bestScore = -Infinity;
                     
-                    for (const onset of onsets) {
-                        const dist = Math.abs(onset - beat);
-                        if (dist < minDist && dist < snapThreshold) {
-                            minDist = dist;
-                            closest = onset;
+                    for (let phase = 0; phase < BEATS_PER_BAR; phase++) {
+                        let sum = 0;
+                        let count = 0;
+                        for (let b = section.startBeat + phase; b < endBeat; b += BEATS_PER_BAR) {
+                            sum += features[b].attack;
+                            count++;
+                        }
+                        if (count > 0 && sum / count > bestScore) {
+                            bestScore = sum / count;
+                            bestPhase = phase;
                         }
                     }
                     
-                    return closest;
+                    for (let b = section.startBeat + bestPhase; b < endBeat; b += BEATS_PER_BAR) {
+                        downbeats.push(beats[b]);
+                    }
                 });
                 
-                return snappedBeats;
+                return downbeats;
+            }
+            
+            /**
+             * Features of each 0.5s segment that separate silence, speech and music:
+             * - rmsDb: absolute loudness (dBFS)
+             * - midShare: share of energy in the 250-4000 Hz voice band
+             * - zcrVariation: coefficient of variation of the 10ms zero-crossing rate (voiced/unvoiced switching)
+             * - lowEnergyRatio: fraction of 10ms frames below half the segment's mean level (pauses between syllables)
+             * - flatnessSpread: standard deviation of spectral flatness (tonal vowels vs noisy consonants)
+             */
+            function getSegmentFeatures(channelData, sampleRate, volumeData, midShare, flatness, hopSec) {
+                const framesPerSegment = Math.round(SEGMENT_SEC / hopSec);
+                const zcrWindow = Math.floor(sampleRate * 0.02);
+                const segments = [];
+                
+                for (let from = 0; from < volumeData.length; from += framesPerSegment) {
+                    const to = Math.min(volumeData.length, from + framesPerSegment);
+                    const count = to - from;
+                    
+                    let sumSq = 0;
+                    let sumVolume = 0;
+                    for (let i = from; i < to; i++) {
+                        sumSq += volumeData[i].volume ** 2;
+                        sumVolume += volumeData[i].volume;
+                    }
+                    const meanVolume = sumVolume / count;
+                    
+                    let quietFrames = 0;
+                    let zcrSum = 0;
+                    let zcrSumSq = 0;
+                    let flatSum = 0;
+                    let flatSumSq = 0;
+                    for (let i = from; i < to; i++) {
+                        if (volumeData[i].volume < meanVolume * 0.5) quietFrames++;
+                        
+                        const start = Math.floor(i * hopSec * sampleRate);
+                        const end = Math.min(channelData.length, start + zcrWindow);
+                        let crossings = 0;
+                        for (let j = start + 1; j < end; j++) {
+                            if ((channelData[j] >= 0) !== (channelData[j - 1] >= 0)) crossings++;
+                        }
+                        const zcr = end > start ? crossings / (end - start) : 0;
+                        zcrSum += zcr;
+                        zcrSumSq += zcr * zcr;
+                        flatSum += flatness[i];
+                        flatSumSq += flatness[i] * flatness[i];
+                    }
+                    
+                    const zcrMean = zcrSum / count;
+                    const zcrStd = Math.sqrt(Math.max(0, zcrSumSq / count - zcrMean * zcrMean));
+                    const flatMean = flatSum / count;
+                    
+                    segments.push({
+                        time: Math.round(from * hopSec * 1000) / 1000,
+                        rmsDb: Math.max(-120, 20 * Math.log10(Math.sqrt(sumSq / count) + 1e-9)),
+                        midShare: rangeMean(midShare, from, to),
+                        zcrVariation: zcrMean > 0 ? zcrStd / zcrMean : 0,
+                        lowEnergyRatio: quietFrames / count,
+                        flatnessSpread: Math.sqrt(Math.max(0, flatSumSq / count - flatMean * flatMean))
+                    });
+                }
+                
+                return segments;
+            }
+            
+            /**
+             * Median of a numeric array (0 when empty)
+             */
+            function median(values) {
+                if (values.length === 0) return 0;
+                const sorted = values.slice().sort((a, b) => a - b);
+                return sorted[sorted.length >> 1];
             }
         `;
         
@@ -212,49 +815,464 @@ const AudioAnalyzer = {
     },
 
     /**
-     * Extract audio from video file
+     * Extract audio from a video file as a single mixed channel at (at most) the analysis rate
+     * MP4/MOV files are demuxed and decoded in segments with WebCodecs; anything else
+     * (or a browser without AudioDecoder) is captured while it plays (capturePlayback)
+     * options: onProgress(fraction 0-1), signal (AbortSignal to cancel), waitIfPaused()
+     * (awaited between streamed segments), isPaused() (polled while capturing playback)
+     * Returns { channelData, sampleRate, channelMix }
+     */
+    async extractAudio(videoFile, settings = {}, options = {}) {
+        const channelMix = settings.channelMix || 'mid';
+
+        if (window.AudioDecoder && window.Mp4Demuxer) {
+            try {
+                const track = await Mp4Demuxer.parse(videoFile);
+                if (track) {
+                    const config = this.getDecoderConfig(track);
+                    const support = await AudioDecoder.isConfigSupported(config);
+                    if (support.supported) {
+                        return await this.decodeStreaming(videoFile, track, config, channelMix, options);
+                    }
+                }
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                console.error('Streaming decode failed, falling back to playback capture:', err);
+            }
+        }
+
+        return await this.capturePlayback(videoFile, channelMix, options);
+    },
+
+    /**
+     * WebCodecs decoder config for a demuxed track
+     */
+    getDecoderConfig(track) {
+        const config = {
+            codec: track.codec,
+            sampleRate: track.sampleRate,
+            numberOfChannels: track.numberOfChannels
+        };
+        if (track.description) config.description = track.description;
+        return config;
+    },
+
+    /**
+     * Decode a demuxed track in ~8MB file segments, downmixing each decoded block straight
+     * to the analysis rate so neither the file nor full-rate PCM is ever held at once
+     */
+    async decodeStreaming(file, track, config, channelMix, options = {}) {
+        const { onProgress = null, signal = null, waitIfPaused = null } = options;
+        const segmentBytes = 8 * 1024 * 1024;
+        const { offsets, sizes, timestamps, sampleCount, timescale } = track;
+
+        let downmixer = null;
+        let decodeError = null;
+        const planes = [];
+
+        const decoder = new AudioDecoder({
+            output: (audioData) => {
+                // Created on the first block: HE-AAC decodes at twice the rate the container declares
+                if (!downmixer) {
+                    downmixer = this.createDownmixer(audioData.sampleRate, channelMix, track.duration);
+                }
+                for (let c = 0; c < audioData.numberOfChannels; c++) {
+                    if (!planes[c] || planes[c].length < audioData.numberOfFrames) {
+                        planes[c] = new Float32Array(audioData.numberOfFrames);
+                    }
+                    audioData.copyTo(planes[c], { planeIndex: c, format: 'f32-planar' });
+                }
+                planes.length = audioData.numberOfChannels;
+                downmixer.push(planes, audioData.numberOfFrames);
+                audioData.close();
+            },
+            error: (err) => {
+                decodeError = err;
+            }
+        });
+        decoder.configure(config);
+
+        try {
+            let sample = 0;
+            while (sample < sampleCount) {
+                if (waitIfPaused) await waitIfPaused();
+                if (signal?.aborted) throw Utils.abortError();
+                
+                // One file read per segment; audio samples interleaved with video still share it
+                const start = offsets[sample];
+                let end = sample + 1;
+                while (end < sampleCount && offsets[end] >= start &&
+                       offsets[end] + sizes[end] - start <= segmentBytes) {
+                    end++;
+                }
+                const segmentEnd = offsets[end - 1] + sizes[end - 1];
+                const bytes = new Uint8Array(await Utils.readFileAsArrayBuffer(file.slice(start, segmentEnd), signal));
+
+                for (let i = sample; i < end; i++) {
+                    const from = offsets[i] - start;
+                    decoder.decode(new EncodedAudioChunk({
+                        type: 'key',
+                        timestamp: Math.round((timestamps[i] / timescale) * 1e6),
+                        data: bytes.subarray(from, from + sizes[i])
+                    }));
+                }
+                await decoder.flush();
+                if (decodeError) throw decodeError;
+
+                sample = end;
+                onProgress?.(sample / sampleCount);
+            }
+        } finally {
+            if (decoder.state !== 'closed') decoder.close();
+        }
+
+        if (!downmixer) throw new Error('No audio decoded');
+        return downmixer.finish();
+    },
+
+    /**
+     * Fallback for files WebCodecs can't stream: play the file through an off-screen media
+     * element and record what it plays with an AudioWorklet, downmixing as the blocks arrive
+     * Playback runs at captureSpeed with the pitch following the speed, so a context at
+     * captureSpeed x the analysis rate records the audio at the analysis rate in video time
      */
-    async extractAudio(videoFile) {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const arrayBuffer = await Utils.readFileAsArrayBuffer(videoFile);
-        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-        audioContext.close();
-        return audioBuffer;
+    async capturePlayback(file, channelMix, options = {}) {
+        const { onProgress = null, signal = null, waitIfPaused = null, isPaused = null } = options;
+        if (signal?.aborted) throw Utils.abortError();
+
+        const context = new (window.AudioContext || window.webkitAudioContext)({
+            sampleRate: this.analysisSampleRate * this.captureSpeed
+        });
+        const media = document.createElement('video');
+        const url = URL.createObjectURL(file);
+
+        try {
+            media.preload = 'auto';
+            media.preservesPitch = false;
+            media.src = url;
+            await new Promise((resolve, reject) => {
+                media.onloadedmetadata = resolve;
+                media.onerror = () => reject(new Error(`Can't play ${file.name}: ${media.error?.message || 'unsupported format'}`));
+            });
+
+            // Some containers (WebM from recorders) report no duration until they have played
+            const duration = Number.isFinite(media.duration) ? media.duration : 0;
+            const downmixer = this.createDownmixer(this.analysisSampleRate, channelMix, duration || 60);
+
+            await context.audioWorklet.addModule(this.getCaptureProcessorUrl());
+            const capture = new AudioWorkletNode(context, 'vid2vibes-capture');
+            let flushed = null;
+            capture.port.onmessage = (e) => {
+                if (e.data === 'flushed') {
+                    flushed?.();
+                } else {
+                    downmixer.push(e.data, e.data[0].length);
+                }
+            };
+            context.createMediaElementSource(media).connect(capture);
+            capture.connect(context.destination);
+
+            // Recording only runs while the element is playing, so start-up and pauses add no silence
+            const play = async () => {
+                await context.resume();
+                media.playbackRate = this.captureSpeed;
+                await media.play();
+                capture.port.postMessage('start');
+            };
+            await play();
+
+            while (!media.ended) {
+                if (media.error) throw new Error(`Playback of ${file.name} failed: ${media.error.message}`);
+                if (signal?.aborted) throw Utils.abortError();
+                if (isPaused?.()) {
+                    capture.port.postMessage('stop');
+                    media.pause();
+                    await waitIfPaused?.();
+                    if (signal?.aborted) throw Utils.abortError();
+                    await play();
+                }
+                if (duration) onProgress?.(Math.min(1, media.currentTime / duration));
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+
+            await new Promise(resolve => {
+                flushed = resolve;
+                capture.port.postMessage('flush');
+            });
+            onProgress?.(1);
+            return downmixer.finish(media.duration);
+        } finally {
+            media.pause();
+            media.removeAttribute('src');
+            media.load();
+            URL.revokeObjectURL(url);
+            context.close();
+        }
     },
 
     /**
-     * Analyze audio buffer in Web Worker
+     * Blob URL of the AudioWorklet module used by capturePlayback (built once)
+     * The processor batches 128-frame render quanta into 8192-frame planar blocks
      */
-    analyze(audioBuffer, settings, fileIndex) {
+    getCaptureProcessorUrl() {
+        if (this.captureProcessorUrl) return this.captureProcessorUrl;
+
+        const processorCode = `
+            const BLOCK_FRAMES = 8192;
+            
+            class CaptureProcessor extends AudioWorkletProcessor {
+                constructor() {
+                    super();
+                    this.recording = false;
+                    this.planes = [];
+                    this.filled = 0;
+                    this.port.onmessage = (e) => {
+                        if (e.data === 'start') this.recording = true;
+                        if (e.data === 'stop') this.recording = false;
+                        if (e.data === 'flush') {
+                            this.recording = false;
+                            this.send();
+                            this.port.postMessage('flushed');
+                        }
+                    };
+                }
+                
+                send() {
+                    if (this.filled > 0) {
+                        const planes = this.planes.map(plane => plane.slice(0, this.filled));
+                        this.port.postMessage(planes, planes.map(plane => plane.buffer));
+                    }
+                    this.filled = 0;
+                }
+                
+                process(inputs) {
+                    const input = inputs[0];
+                    if (!this.recording || input.length === 0) return true;
+                    
+                    // A change in channel layout starts a new block
+                    if (input.length !== this.planes.length) {
+                        this.send();
+                        this.planes = input.map(() => new Float32Array(BLOCK_FRAMES));
+                    }
+                    input.forEach((channel, c) => this.planes[c].set(channel, this.filled));
+                    this.filled += input[0].length;
+                    if (this.filled + input[0].length > BLOCK_FRAMES) this.send();
+                    return true;
+                }
+            }
+            
+            registerProcessor('vid2vibes-capture', CaptureProcessor);
+        `;
+
+        const blob = new Blob([processorCode], { type: 'application/javascript' });
+        this.captureProcessorUrl = URL.createObjectURL(blob);
+        return this.captureProcessorUrl;
+    },
+
+    /**
+     * Sink for decoded blocks: mixes each block to one channel (mixInto), low-passes it and
+     * box-averages it down to the analysis rate as it arrives, so only the analysis-rate
+     * signal is kept (a 2 h video is ~460 MB instead of ~1.4 GB of 48 kHz samples)
+     * duration (seconds) sizes the buffer; it grows if the audio runs longer
+     * Returns { push(planes, frames), finish(maxDuration) -> { channelData, sampleRate, channelMix } }
+     */
+    createDownmixer(sourceRate, channelMix, duration) {
+        const sampleRate = Math.min(sourceRate, this.analysisSampleRate);
+        const step = sampleRate / sourceRate;
+        let output = new Float32Array(Math.ceil(duration * sampleRate) + 8192);
+        let mixed = new Float32Array(0);
+        let written = 0;
+        let sum = 0;
+        let count = 0;
+        let phase = 0;
+
+        // Butterworth low-pass (RBJ biquad) at 45% of the analysis rate, against aliasing
+        const K = Math.tan(Math.PI * 0.45 * sampleRate / sourceRate);
+        const norm = 1 / (1 + Math.SQRT2 * K + K * K);
+        const b0 = K * K * norm;
+        const a1 = 2 * (K * K - 1) * norm;
+        const a2 = (1 - Math.SQRT2 * K + K * K) * norm;
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+        return {
+            push: (planes, frames) => {
+                if (mixed.length < frames) mixed = new Float32Array(frames);
+                this.mixInto(planes, frames, channelMix, mixed, 0);
+
+                if (step === 1) {
+                    if (written + frames > output.length) output = this.growBuffer(output, written + frames);
+                    output.set(mixed.subarray(0, frames), written);
+                    written += frames;
+                    return;
+                }
+                for (let i = 0; i < frames; i++) {
+                    const x = mixed[i];
+                    const y = b0 * (x + 2 * x1 + x2) - a1 * y1 - a2 * y2;
+                    x2 = x1; x1 = x;
+                    y2 = y1; y1 = y;
+
+                    sum += y;
+                    count++;
+                    phase += step;
+                    if (phase >= 1) {
+                        if (written === output.length) output = this.growBuffer(output, written + 1);
+                        output[written++] = sum / count;
+                        sum = 0;
+                        count = 0;
+                        phase -= 1;
+                    }
+                }
+            },
+            finish: (maxDuration = Infinity) => {
+                const length = Math.min(written, Math.ceil(maxDuration * sampleRate));
+                if (!(length > 0)) throw new Error('No audio decoded');
+                return { channelData: output.subarray(0, length), sampleRate, channelMix };
+            }
+        };
+    },
+
+    /**
+     * Copy of a sample buffer with room for at least `minLength` samples (grown by half)
+     */
+    growBuffer(buffer, minLength) {
+        const grown = new Float32Array(Math.max(minLength, Math.ceil(buffer.length * 1.5)));
+        grown.set(buffer);
+        return grown;
+    },
+
+    /**
+     * Mix planar channel data into target[offset...] for `frames` samples
+     * mode: 'left', 'right', 'mid' (L+R), 'side' (L-R, cancels centred dialogue) or 'max' (loudest channel per sample)
+     */
+    mixInto(planes, frames, mode, target, offset) {
+        const channelCount = planes.length;
+        const left = planes[0];
+        const right = planes[1];
+
+        if (channelCount < 2 || mode === 'left') {
+            target.set(left.subarray(0, frames), offset);
+            return;
+        }
+        if (mode === 'right') {
+            target.set(right.subarray(0, frames), offset);
+            return;
+        }
+        if (mode === 'side') {
+            for (let i = 0; i < frames; i++) target[offset + i] = (left[i] - right[i]) * 0.5;
+            return;
+        }
+
+        // Mid and max take every channel into account (surround layouts included)
+        for (let i = 0; i < frames; i++) {
+            let value = 0;
+            for (let c = 0; c < channelCount; c++) {
+                const v = planes[c][i];
+                if (mode === 'max') {
+                    if (Math.abs(v) > Math.abs(value)) value = v;
+                } else {
+                    value += v / channelCount;
+                }
+            }
+            target[offset + i] = value;
+        }
+    },
+
+    /**
+     * Number of analysis workers (one per core, capped so a batch can't exhaust memory on big machines)
+     */
+    getPoolSize() {
+        return Math.max(1, Math.min(navigator.hardwareConcurrency || 2, 8));
+    },
+
+    /**
+     * Memory the batch may spend on decoded audio at once: a quarter of the device memory
+     * when the browser reports it, otherwise 1 GB
+     */
+    getMemoryBudget() {
+        const deviceGb = navigator.deviceMemory || 4;
+        return deviceGb * 1024 ** 3 / 4;
+    },
+
+    /**
+     * Estimated peak memory for decoding and analysing a file: its duration guessed from the
+     * file size at ~2 Mbit/s, as mono float samples at the analysis rate, doubled for the
+     * worker's working set
+     */
+    estimateMemory(file) {
+        const seconds = (file.size * 8) / 2e6;
+        return seconds * this.analysisSampleRate * 4 * 2;
+    },
+
+    /**
+     * Take an idle worker from the pool, or start a new one
+     */
+    acquireWorker() {
+        this.init();
+        return this.idleWorkers.pop() || new Worker(this.workerUrl);
+    },
+
+    /**
+     * Return a worker to the pool (terminated if the pool is already full)
+     */
+    releaseWorker(worker) {
+        worker.onmessage = null;
+        worker.onerror = null;
+        if (this.idleWorkers.length < this.getPoolSize()) {
+            this.idleWorkers.push(worker);
+        } else {
+            worker.terminate();
+        }
+    },
+
+    /**
+     * Analyze extracted audio ({ channelData, sampleRate }) on a pooled Web Worker
+     * Aborting the optional signal terminates the worker
+     */
+    analyze(audio, settings, signal = null) {
         return new Promise((resolve, reject) => {
-            if (!this.workerUrl) {
-                this.init();
+            if (signal?.aborted) {
+                reject(Utils.abortError());
+                return;
             }
             
-            const worker = new Worker(this.workerUrl);
-            const channelData = audioBuffer.getChannelData(0);
-            const channelDataCopy = new Float32Array(channelData);
+            const worker = this.acquireWorker();
+            const taskId = this.nextTaskId++;
+            // The mixed channel is transferred (not cloned) to the worker
+            const { channelData, sampleRate, channelMix } = audio;
             
-            worker.onmessage = (e) => {
+            const onAbort = () => {
                 worker.terminate();
+                reject(Utils.abortError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            worker.onmessage = (e) => {
+                if (e.data.taskId !== taskId) return;
+                signal?.removeEventListener('abort', onAbort);
+                this.releaseWorker(worker);
                 if (e.data.success) {
-                    resolve(e.data.result);
+                    resolve({ ...e.data.result, channelMix });
                 } else {
                     reject(new Error(e.data.error));
                 }
             };
             
             worker.onerror = (err) => {
+                // A crashed worker is not reused
+                signal?.removeEventListener('abort', onAbort);
                 worker.terminate();
                 reject(err);
             };
             
             worker.postMessage({
-                channelData: channelDataCopy,
-                sampleRate: audioBuffer.sampleRate,
-                settings: { intervalMs: settings.intervalMs || 100 },
-                fileIndex
-            }, [channelDataCopy.buffer]);
+                channelData,
+                sampleRate,
+                settings: {
+                    intervalMs: parseInt(settings.intervalMs) || 100,
+                    onsetDetector: settings.onsetDetector || 'energy'
+                },
+                taskId
+            }, [channelData.buffer]);
         });
     },
 
@@ -262,10 +1280,16 @@ const AudioAnalyzer = {
      * Clean up resources
      */
     destroy() {
+        this.idleWorkers.forEach(worker => worker.terminate());
+        this.idleWorkers = [];
         if (this.workerUrl) {
             URL.revokeObjectURL(this.workerUrl);
             this.workerUrl = null;
         }
+        if (this.captureProcessorUrl) {
+            URL.revokeObjectURL(this.captureProcessorUrl);
+            this.captureProcessorUrl = null;
+        }
     }
 };
 
@@ -0,0 +1,240 @@
+/**
+ * Device Router Module
+ * Sits between Player and LovenseApi: each toy gets its own track, intensity range, inversion and time offset
+ */
+
+const DeviceRouter = {
+    storageKey: 'vid2vibes_device_routes',
+    routes: {}, // deviceId -> route (saved by ID so it survives reconnects)
+    timelines: new WeakMap(), // lovenseJson -> { track: timeline }
+
+    defaultRoute: {
+        track: 'main',
+        min: 0,
+        max: 20,
+        invert: false,
+        offsetMs: 0
+    },
+
+    // Analysis bands a toy can follow instead of the script (converted videos only)
+    bandTracks: {
+        subBass: 'Sub-bass (kick)',
+        bass: 'Bass',
+        mids: 'Mids (vocals)',
+        highs: 'Highs (hi-hats)'
+    },
+
+    maxOffsetMs: 2000,
+
+    /**
+     * Load saved routes from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.routes = {};
+            Object.entries(stored).forEach(([deviceId, route]) => {
+                this.routes[deviceId] = this.normalize(route);
+            });
+        } catch (err) {
+            console.error('Failed to load device routes:', err);
+            this.routes = {};
+        }
+        return this.routes;
+    },
+
+    /**
+     * Persist routes to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.routes));
+            return true;
+        } catch (err) {
+            console.error('Failed to save device routes:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Clamp a route's fields into range (min and max are swapped if reversed)
+     */
+    normalize(route) {
+        const min = Utils.clamp(parseInt(route?.min) || 0, 0, 20);
+        const max = Utils.clamp(parseInt(route?.max ?? 20) || 0, 0, 20);
+        return {
+            track: typeof route?.track === 'string' && route.track ? route.track : 'main',
+            min: Math.min(min, max),
+            max: Math.max(min, max),
+            invert: !!route?.invert,
+            offsetMs: Utils.clamp(parseInt(route?.offsetMs) || 0, -this.maxOffsetMs, this.maxOffsetMs)
+        };
+    },
+
+    /**
+     * Route for a device (defaults when none was saved)
+     */
+    getRoute(deviceId) {
+        return this.routes[deviceId] ? { ...this.routes[deviceId] } : { ...this.defaultRoute };
+    },
+
+    /**
+     * Save a device's route; default routes are forgotten rather than stored
+     */
+    setRoute(deviceId, route) {
+        const normalized = this.normalize(route);
+        if (this.isDefault(normalized)) {
+            delete this.routes[deviceId];
+        } else {
+            this.routes[deviceId] = normalized;
+        }
+        this.persist();
+        return normalized;
+    },
+
+    /**
+     * Whether a route plays the script untouched
+     */
+    isDefault(route) {
+        return Object.keys(this.defaultRoute).every(key => route[key] === this.defaultRoute[key]);
+    },
+
+    /**
+     * Tracks a queue item offers as [{ value, label }]: the script, its extra feature tracks,
+     * and the analysis bands when the item was converted here
+     */
+    getTrackOptions(item) {
+        const options = [{ value: 'main', label: 'Script' }];
+        const lovenseJson = item?.lovenseJson;
+
+        PatternGenerator.getFeatures(lovenseJson).slice(1).forEach(feature => {
+            options.push({ value: feature, label: `${ToyCapabilities.actions[feature] || feature} track` });
+        });
+        if (item?.analysisResult && lovenseJson) {
+            Object.entries(this.bandTracks).forEach(([band, label]) => options.push({ value: band, label }));
+        }
+        return options;
+    },
+
+    /**
+     * Strength timeline of one track of a queue item, or null when the item doesn't have it
+     * Band tracks are generated on first use with the item's own settings, following that band
+     */
+    getTimeline(item, track) {
+        const lovenseJson = item?.lovenseJson;
+        if (!lovenseJson) return null;
+
+        let cache = this.timelines.get(lovenseJson);
+        if (!cache) {
+            cache = {};
+            this.timelines.set(lovenseJson, cache);
+        }
+        if (cache[track]) return cache[track];
+
+        if (track === 'main') {
+            cache[track] = PatternGenerator.getStrengthTimeline(lovenseJson);
+        } else if (this.bandTracks[track]) {
+            if (!item.analysisResult) return null;
+            const variant = PatternGenerator.generate(item.analysisResult, {
+                ...lovenseJson.settings,
+                deviceType: lovenseJson.device,
+                followBand: track
+            });
+            cache[track] = PatternGenerator.getStrengthTimeline(variant);
+        } else {
+            if (!PatternGenerator.getFeatures(lovenseJson).includes(track)) return null;
+            cache[track] = PatternGenerator.getStrengthTimeline(lovenseJson, track);
+        }
+        return cache[track];
+    },
+
+    /**
+     * Level of a timeline at a time in ms (0 outside the script)
+     */
+    sampleTimeline(timeline, atMs) {
+        if (timeline.length === 0 || atMs < timeline[0].at || atMs > timeline[timeline.length - 1].at) return 0;
+
+        // Last step starting at or before atMs
+        let lo = 0;
+        let hi = timeline.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (timeline[mid].at <= atMs + 1e-6) lo = mid;
+            else hi = mid - 1;
+        }
+        return timeline[lo].value;
+    },
+
+    /**
+     * Map a 0-20 level into a device's range; 0 stays off so silence stays silent when inverted
+     */
+    scale(value, route) {
+        if (value <= 0) return 0;
+        const level = route.invert ? 1 - value / 20 : value / 20;
+        return Math.round(route.min + level * (route.max - route.min));
+    },
+
+    /**
+     * Rebuild a Pattern command for one device: swap in its track, shift it by the offset and scale it
+     */
+    routeCommand(item, rawCommand, route) {
+        const meta = rawCommand._meta;
+        const scaleSeries = (series) => series.split(';').map(s => this.scale(parseInt(s) || 0, route)).join(';');
+
+        // Without timing there is nothing to resample, so only the levels change
+        if (!meta?.intervalMs) {
+            return { ...rawCommand, strength: scaleSeries(rawCommand.strength) };
+        }
+
+        const startMs = meta.startTime * 1000 - route.offsetMs;
+        const resample = (timeline, points) => Array.from({ length: points },
+            (_, i) => this.scale(this.sampleTimeline(timeline, startMs + i * meta.intervalMs), route)
+        ).join(';');
+
+        const points = rawCommand.strength.split(';').length;
+        const mainTimeline = this.getTimeline(item, route.track) || this.getTimeline(item, 'main');
+        const strength = (route.track === 'main' && route.offsetMs === 0) || !mainTimeline
+            ? scaleSeries(rawCommand.strength)
+            : resample(mainTimeline, points);
+
+        let tracks = meta.tracks;
+        if (tracks) {
+            tracks = Object.fromEntries(Object.entries(tracks).map(([feature, series]) => {
+                const timeline = route.offsetMs !== 0 && this.getTimeline(item, feature);
+                return [feature, timeline ? resample(timeline, points) : scaleSeries(series)];
+            }));
+        }
+
+        return { ...rawCommand, strength, _meta: { ...meta, tracks } };
+    },
+
+    /**
+     * Scale the levels of a simple pattern ("v:5;v:10" or "Vibrate:10") for a device
+     */
+    scalePattern(pattern, route) {
+        return pattern.replace(/:(\d+)/g, (match, value) => `:${this.scale(parseInt(value), route)}`);
+    },
+
+    /**
+     * Send a pattern to every selected device through its route
+     * item is the queue item being played (null for previews, which can only be scaled)
+     */
+    async send(item, pattern, duration, rawCommand = null) {
+        const devices = LovenseApi.getSelectedDevices();
+        if (devices.length === 0) return false;
+
+        return LovenseApi.settle(devices.map(device => {
+            const route = this.getRoute(device.id);
+            if (this.isDefault(route)) {
+                return LovenseApi.sendToDevice(device, pattern, duration, rawCommand);
+            }
+            if (!rawCommand) {
+                return LovenseApi.sendToDevice(device, pattern && this.scalePattern(pattern, route), duration);
+            }
+            return LovenseApi.sendToDevice(device, pattern, duration, this.routeCommand(item, rawCommand, route));
+        }));
+    }
+};
+
+// Export for use in other modules
+window.DeviceRouter = DeviceRouter;
@@ -7,6 +7,12 @@ const FileHandler = {
     files: [],
     activeFileIndex: 0,
     isProcessing: false,
+    isPaused: false,
+    isCancelling: false,
+    processingRun: null, // settles when the current queue run has finished
+    processingQueue: [],
+    runningTasks: new Map(), // fileData -> { promise, bytes, progress, controller }
+    pauseGate: null,
     
     // Event callbacks
     onFilesChange: null,
@@ -69,16 +75,30 @@ const FileHandler = {
             return;
         }
 
+        // Multi-axis companions (clip.pump.funscript) attach to a video, never act as its main script
+        const companionJson = jsonFiles.filter(j => Funscript.parseCompanionName(j.name));
+        const scriptJson = jsonFiles.filter(j => !companionJson.includes(j));
+
         // Match JSON files to videos by similar name
         const matchJsonToVideo = (videoName) => {
             const baseName = videoName.replace(/\.[^/.]+$/, '');
-            return jsonFiles.find(j => {
+            return scriptJson.find(j => {
                 const jsonBase = j.name.replace(/\.[^/.]+$/, '');
                 return jsonBase === baseName || 
                        jsonBase === baseName + '_lovense' ||
                        jsonBase.startsWith(baseName);
             });
         };
+        
+        const matchCompanionsToVideo = (videoName) => {
+            const baseName = videoName.replace(/\.[^/.]+$/, '');
+            const companions = {};
+            companionJson.forEach(j => {
+                const parsed = Funscript.parseCompanionName(j.name);
+                if (parsed.base === baseName) companions[parsed.feature] = j;
+            });
+            return companions;
+        };
 
         videoFiles.forEach(videoFile => {
             // Check for duplicates
@@ -92,7 +112,10 @@ const FileHandler = {
                 id: Utils.generateId(),
                 file: videoFile,
                 jsonFile: matchedJson || null,
-                audioBuffer: null,
+                companionFiles: matchCompanionsToVideo(videoFile.name),
+                fingerprint: null,
+                settings: null, // own conversion settings (overrides the form), or null
+                presetName: null,
                 analysisResult: null,
                 lovenseJson: null,
                 script: null,
@@ -182,9 +205,11 @@ const FileHandler = {
             if (f.videoUrl) URL.revokeObjectURL(f.videoUrl);
         });
         
+        // Stop the queue first; the processing loop finishes on its own once the aborts settle
+        this.cancelProcessing();
+        
         this.files = [];
         this.activeFileIndex = 0;
-        this.isProcessing = false;
         
         if (this.onFilesChange) {
             this.onFilesChange(this.files);
@@ -193,8 +218,12 @@ const FileHandler = {
 
     /**
      * Process pending files (convert to patterns)
+     * Files run in parallel on the analyzer's worker pool; how many at once is capped by
+     * the pool size and by the estimated decoded-audio memory of the files in flight
      */
     async processPendingFiles(settings) {
+        // A cancelled run finishes once its aborts settle; a new run waits for it instead of being dropped
+        if (this.isProcessing && this.isCancelling) await this.processingRun;
         if (this.isProcessing) return;
         
         const pendingIndices = this.files
@@ -204,87 +233,243 @@ const FileHandler = {
         if (pendingIndices.length === 0) return;
         
         this.isProcessing = true;
+        this.isPaused = false;
+        let finishRun;
+        this.processingRun = new Promise(resolve => { finishRun = resolve; });
         const total = pendingIndices.length;
+        const queue = pendingIndices.map(i => this.files[i]);
+        const running = this.runningTasks;
+        this.processingQueue = queue;
+        const startedAt = Date.now();
         let completed = 0;
+        let lastText = 'Preparing...';
         
-        if (this.onProcessingProgress) {
-            this.onProcessingProgress(0, total, 'Preparing...');
-        }
+        // Overall progress: finished files plus the fractions of the ones in flight
+        const reportProgress = (text = lastText) => {
+            lastText = text;
+            if (!this.onProcessingProgress) return;
+            
+            let inFlight = 0;
+            running.forEach(task => { inFlight += task.progress; });
+            const done = completed + inFlight;
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const eta = done > 0 && elapsed > 2 ? (elapsed / done) * (total - done) : null;
+            this.onProcessingProgress(completed, total, text, inFlight, eta);
+        };
         
+        reportProgress();
         AudioAnalyzer.init();
         
-        for (const fileIndex of pendingIndices) {
-            const fileData = this.files[fileIndex];
-            fileData.status = 'processing';
-            
-            if (this.onFilesChange) {
-                this.onFilesChange(this.files);
-            }
-            
-            try {
-                if (this.onProcessingProgress) {
-                    this.onProcessingProgress(completed, total, `Decoding ${fileData.file.name}...`);
-                }
-                
-                // Extract and decode audio
-                const audioBuffer = await AudioAnalyzer.extractAudio(fileData.file);
-                fileData.audioBuffer = audioBuffer;
-                
-                if (this.onProcessingProgress) {
-                    this.onProcessingProgress(completed, total, `Analyzing ${fileData.file.name}...`);
-                }
-                
-                // Analyze audio
-                const analysisResult = await AudioAnalyzer.analyze(audioBuffer, settings, fileIndex);
-                fileData.analysisResult = analysisResult;
-                
-                // Generate patterns
-                fileData.lovenseJson = PatternGenerator.generate(analysisResult, settings);
-                
-                // Create script for playback
-                fileData.script = {
-                    type: 'scripted',
-                    loaded: true,
-                    patterns: PatternGenerator.convertOfficialFormat(fileData.lovenseJson),
-                    originalFormat: 'official',
-                    deviceType: settings.deviceType || 'generic'
-                };
-                
-                fileData.status = 'complete';
-                completed++;
+        const poolSize = AudioAnalyzer.getPoolSize();
+        const memoryBudget = AudioAnalyzer.getMemoryBudget();
+        let memoryInUse = 0;
+        
+        while (queue.length > 0 || running.size > 0) {
+            // Start as many files as the pool and the memory budget allow (always at least one)
+            while (queue.length > 0 && running.size < poolSize && !this.isPaused) {
+                const fileData = queue[0];
+                const bytes = AudioAnalyzer.estimateMemory(fileData.file);
+                if (running.size > 0 && memoryInUse + bytes > memoryBudget) break;
                 
-                if (this.onProcessingProgress) {
-                    this.onProcessingProgress(completed, total, `Completed ${fileData.file.name}`);
+                queue.shift();
+                if (!this.files.includes(fileData) || fileData.status === 'complete') {
+                    // Removed, or restored from the cache since the queue was built
+                    completed++;
+                    continue;
                 }
                 
-            } catch (err) {
-                console.error(`Error processing ${fileData.file.name}:`, err);
-                fileData.status = 'error';
-                fileData.error = err.message;
-                completed++;
+                const task = { bytes, progress: 0, controller: new AbortController() };
+                task.promise = this.processFile(fileData, settings, (progress, text) => {
+                    task.progress = progress;
+                    reportProgress(text);
+                }, task.controller.signal).then(() => {
+                    running.delete(fileData);
+                    memoryInUse -= bytes;
+                    if (fileData.status !== 'pending') completed++;
+                    reportProgress({
+                        error: `Failed ${fileData.file.name}`,
+                        pending: `Cancelled ${fileData.file.name}`
+                    }[fileData.status] || `Completed ${fileData.file.name}`);
+                    if (this.onFilesChange) {
+                        this.onFilesChange(this.files);
+                    }
+                });
+                running.set(fileData, task);
+                memoryInUse += bytes;
             }
             
-            if (this.onFilesChange) {
-                this.onFilesChange(this.files);
+            if (running.size > 0) {
+                await Promise.race(Array.from(running.values(), task => task.promise));
+            } else if (this.isPaused && queue.length > 0) {
+                reportProgress('Paused');
+                await this.waitIfPaused();
             }
         }
         
+        // Files a cancel sent back to pending (started or not)
+        const cancelled = total - completed;
         this.isProcessing = false;
+        this.isPaused = false;
+        this.isCancelling = false;
+        finishRun();
         
         if (this.onProcessingComplete) {
             const errorCount = this.files.filter(f => f.status === 'error').length;
-            this.onProcessingComplete(total, errorCount);
+            this.onProcessingComplete(total, errorCount, cancelled);
+        }
+    },
+
+    /**
+     * Pause the queue: no new files start and streamed decodes hold between segments
+     * (a file already in its analysis worker still finishes)
+     */
+    pauseProcessing() {
+        if (!this.isProcessing || this.isPaused) return;
+        this.isPaused = true;
+        let resume;
+        const promise = new Promise(resolve => { resume = resolve; });
+        this.pauseGate = { promise, resume };
+    },
+
+    /**
+     * Resume a paused queue
+     */
+    resumeProcessing() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.pauseGate?.resume();
+        this.pauseGate = null;
+    },
+
+    /**
+     * Resolves immediately, or once the queue is resumed or cancelled
+     */
+    waitIfPaused() {
+        return this.pauseGate?.promise || Promise.resolve();
+    },
+
+    /**
+     * Cancel the queue: abort in-flight decodes and workers, and put unfinished files back to pending
+     */
+    cancelProcessing() {
+        if (!this.isProcessing) return;
+        
+        this.isCancelling = true;
+        this.processingQueue.forEach(f => {
+            if (f.status !== 'complete') f.status = 'pending';
+        });
+        this.processingQueue.length = 0;
+        this.runningTasks.forEach(task => task.controller.abort());
+        this.resumeProcessing();
+    },
+
+    /**
+     * Decode, analyse and generate patterns for one file (or load it from the analysis cache)
+     * onProgress(fraction 0-1, text) is called as the file moves through each stage; never throws
+     * Aborting the signal puts the file back to pending
+     */
+    async processFile(fileData, settings, onProgress, signal = null) {
+        const name = fileData.file.name;
+        settings = this.resolveSettings(fileData, settings);
+        fileData.status = 'processing';
+        fileData.progress = 0;
+        
+        if (this.onFilesChange) {
+            this.onFilesChange(this.files);
+        }
+        
+        // Per-file progress on the sidebar cards, redrawn at most twice a second
+        let lastCardUpdate = 0;
+        const setProgress = (fraction, text) => {
+            fileData.progress = fraction;
+            onProgress(fraction, text);
+            if (this.onFilesChange && Date.now() - lastCardUpdate > 500) {
+                lastCardUpdate = Date.now();
+                this.onFilesChange(this.files);
+            }
+        };
+        
+        try {
+            // Previously analysed with the same analysis settings: skip decoding entirely
+            const cached = await AnalysisCache.get(fileData, settings);
+            if (cached) {
+                this.applyAnalysisResult(fileData, cached, settings);
+                fileData.status = 'complete';
+                setProgress(1, `Loaded ${name} from cache`);
+                return;
+            }
+            
+            setProgress(0, `Decoding ${name}...`);
+            
+            // Extract and decode audio (decoding counts for 80% of the file's progress)
+            const audio = await AudioAnalyzer.extractAudio(fileData.file, settings, {
+                onProgress: (fraction) => {
+                    setProgress(fraction * 0.8, `Decoding ${name}... ${Math.round(fraction * 100)}%`);
+                },
+                signal,
+                waitIfPaused: () => this.waitIfPaused(),
+                isPaused: () => this.isPaused
+            });
+            
+            setProgress(0.8, `Analyzing ${name}...`);
+            
+            // Analyze audio (the decoded samples are handed to the worker, not kept)
+            const analysisResult = await AudioAnalyzer.analyze(audio, settings, signal);
+            await AnalysisCache.put(fileData, settings, analysisResult);
+            
+            // Generate patterns and the playback script
+            this.applyAnalysisResult(fileData, analysisResult, settings);
+            fileData.status = 'complete';
+            setProgress(1, `Completed ${name}`);
+            
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                fileData.status = 'pending';
+                fileData.progress = 0;
+                return;
+            }
+            console.error(`Error processing ${name}:`, err);
+            fileData.status = 'error';
+            fileData.error = err.message;
         }
     },
 
     /**
      * Regenerate patterns for a file with new settings
      */
-    regeneratePatterns(fileIndex, settings) {
+    async regeneratePatterns(fileIndex, settings) {
         const fileData = this.files[fileIndex];
-        if (!fileData || !fileData.analysisResult) return false;
+        // Files playing an imported script have nothing to regenerate from
+        if (!fileData || (!fileData.analysisResult && fileData.status !== 'pending' && fileData.status !== 'error')) {
+            return false;
+        }
+        
+        settings = this.resolveSettings(fileData, settings);
+        
+        // Pick up a cached analysis for the current analysis settings (detector, channel mix) if there is one
+        const cached = await AnalysisCache.get(fileData, settings);
+        const analysisResult = cached || fileData.analysisResult;
+        if (!analysisResult) return false;
+        
+        this.applyAnalysisResult(fileData, analysisResult, settings);
+        fileData.status = 'complete';
+        
+        if (this.onFilesChange) {
+            this.onFilesChange(this.files);
+        }
         
-        fileData.lovenseJson = PatternGenerator.generate(fileData.analysisResult, settings);
+        return true;
+    },
+
+    /**
+     * Store an analysis result on a file entry and generate its patterns and playback script
+     */
+    applyAnalysisResult(fileData, analysisResult, settings) {
+        fileData.analysisResult = analysisResult;
+        fileData.lovenseJson = PatternGenerator.generate(analysisResult, settings);
+        fileData.lovenseJson.preset = fileData.settings
+            ? fileData.presetName
+            : SettingsPresets.findMatch(settings);
         fileData.script = {
             type: 'scripted',
             loaded: true,
@@ -292,36 +477,131 @@ const FileHandler = {
             originalFormat: 'official',
             deviceType: settings.deviceType || 'generic'
         };
+    },
+
+    /**
+     * Settings for one file: its own settings (if any) over the form settings
+     * Device type always comes from the form
+     */
+    resolveSettings(fileData, settings) {
+        return fileData?.settings ? { ...settings, ...fileData.settings } : settings;
+    },
+
+    /**
+     * Give a file the settings embedded in an exported pattern, unless it already has its own
+     * Returns true when settings were adopted
+     */
+    adoptEmbeddedSettings(fileData, scriptData) {
+        if (fileData.settings) return false;
         
-        if (this.onFilesChange) {
+        const embedded = Funscript.isFunscript(scriptData)
+            ? Funscript.getEmbeddedSettings(scriptData)
+            : (scriptData?.format === 'official' && scriptData.settings ? scriptData : null);
+        if (!embedded) return false;
+        
+        fileData.settings = SettingsPresets.pick(embedded.settings);
+        fileData.presetName = (typeof embedded.preset === 'string' && embedded.preset) ||
+            SettingsPresets.findMatch(fileData.settings);
+        return true;
+    },
+
+    /**
+     * Read the settings embedded in pending files' paired pattern JSON, so converting them
+     * again reproduces the exported pattern. Returns the number of files that adopted settings
+     */
+    async readEmbeddedSettings() {
+        let adopted = 0;
+        
+        for (const fileData of this.files) {
+            if (!fileData.jsonFile || fileData.settings || fileData.status !== 'pending') continue;
+            
+            try {
+                const scriptData = JSON.parse(await Utils.readFileAsText(fileData.jsonFile));
+                if (this.adoptEmbeddedSettings(fileData, scriptData)) adopted++;
+            } catch (err) {
+                console.error(`Failed to read settings from ${fileData.jsonFile.name}:`, err);
+            }
+        }
+        
+        if (adopted > 0 && this.onFilesChange) {
             this.onFilesChange(this.files);
         }
         
-        return true;
+        return adopted;
+    },
+
+    /**
+     * Complete pending files straight from the analysis cache (no decoding)
+     * Returns the number of files restored
+     */
+    async restoreCachedResults(settings) {
+        let restored = 0;
+        
+        for (const fileData of this.files) {
+            if (fileData.status !== 'pending' || fileData.analysisResult) continue;
+            
+            const fileSettings = this.resolveSettings(fileData, settings);
+            const cached = await AnalysisCache.get(fileData, fileSettings);
+            if (!cached) continue;
+            
+            this.applyAnalysisResult(fileData, cached, fileSettings);
+            fileData.status = 'complete';
+            restored++;
+        }
+        
+        if (restored > 0 && this.onFilesChange) {
+            this.onFilesChange(this.files);
+        }
+        
+        return restored;
     },
 
     /**
      * Load script from JSON file
      */
-    async loadScriptFromJson(fileData) {
+    async loadScriptFromJson(fileData, settings = {}) {
         if (!fileData.jsonFile) return null;
         
         try {
             const content = await Utils.readFileAsText(fileData.jsonFile);
             const scriptData = JSON.parse(content);
             
+            // Funscripts are resampled into official-format Pattern chunks
+            if (Funscript.isFunscript(scriptData)) {
+                const companions = {};
+                for (const [feature, file] of Object.entries(fileData.companionFiles || {})) {
+                    const axisData = JSON.parse(await Utils.readFileAsText(file));
+                    if (Funscript.isFunscript(axisData)) companions[feature] = axisData;
+                }
+                
+                const lovenseJson = Funscript.toLovenseJson(scriptData, settings, companions);
+                this.adoptEmbeddedSettings(fileData, scriptData);
+                
+                fileData.script = {
+                    type: 'scripted',
+                    loaded: true,
+                    patterns: PatternGenerator.convertOfficialFormat(lovenseJson),
+                    originalFormat: 'funscript',
+                    deviceType: lovenseJson.device
+                };
+                fileData.lovenseJson = lovenseJson;
+                
+                return fileData.script;
+            }
+            
             // Detect format
             const isOfficialFormat = scriptData.device && scriptData.format === 'official';
             
             let patterns;
             if (isOfficialFormat) {
                 patterns = PatternGenerator.convertOfficialFormat(scriptData);
+                this.adoptEmbeddedSettings(fileData, scriptData);
             } else {
                 // Simple format
                 patterns = scriptData.patterns.map(p => ({
                     time: p.time,
-                    patternName: PatternGenerator.patternLibrary[p.pattern] ? p.pattern : null,
-                    pattern: PatternGenerator.patternLibrary[p.pattern] ? null : p.pattern,
+                    patternName: PatternLibrary.has(p.pattern) ? p.pattern : null,
+                    pattern: PatternLibrary.has(p.pattern) ? null : p.pattern,
                     duration: p.duration
                 }));
             }
@@ -0,0 +1,303 @@
+/**
+ * Funscript Module
+ * Serializes generated strength timelines to the standard Funscript format
+ */
+
+const Funscript = {
+    version: '1.0',
+
+    /**
+     * Multi-axis companion file suffixes per Lovense feature
+     * (video.funscript drives the primary feature, video.pump.funscript the pump, ...)
+     */
+    axisNames: {
+        'v': 'vib',
+        'p': 'pump',
+        'r': 'twist'
+    },
+
+    /**
+     * Build a Funscript object from generated Lovense JSON
+     */
+    fromLovenseJson(lovenseJson, options = {}) {
+        const timeline = PatternGenerator.getStrengthTimeline(lovenseJson, options.feature || null);
+        return this.fromTimeline(timeline, {
+            duration: lovenseJson.totalDuration,
+            settings: lovenseJson.settings || null,
+            preset: lovenseJson.preset || null,
+            ...options
+        });
+    },
+
+    /**
+     * Build a Funscript object from a timeline of { at (ms), value (0-20) } points
+     * settings and preset are embedded in the metadata so converting the video again reproduces the script
+     */
+    fromTimeline(timeline, options = {}) {
+        const {
+            title = '',
+            duration = 0,
+            reduce = true,
+            tolerance = 0,
+            settings = null,
+            preset = null
+        } = options;
+
+        // Map 0-20 strength onto 0-100 positions. Strengths are steps but players interpolate
+        // between actions, so each value is held until 1ms before the next change
+        let actions = [];
+        timeline.forEach(p => {
+            const at = Math.round(p.at);
+            const pos = Utils.clamp(Math.round(p.value * 5), 0, 100);
+            const previous = actions[actions.length - 1];
+            if (previous && pos !== previous.pos && at - 1 > previous.at) {
+                actions.push({ at: at - 1, pos: previous.pos });
+            }
+            actions.push({ at, pos });
+        });
+
+        if (reduce) {
+            actions = this.reduceActions(actions, tolerance);
+        }
+
+        return {
+            version: this.version,
+            inverted: false,
+            range: 100,
+            actions,
+            metadata: {
+                creator: 'vid2vibes',
+                title,
+                duration: Math.round(duration),
+                type: 'basic',
+                notes: 'Generated from audio analysis',
+                ...(settings ? { settings } : {}),
+                ...(preset ? { preset } : {})
+            }
+        };
+    },
+
+    /**
+     * Drop actions that lie on the line between their neighbours
+     * (Ramer-Douglas-Peucker with a position tolerance, 0 = lossless)
+     */
+    reduceActions(actions, tolerance = 0) {
+        if (actions.length <= 2) return actions.slice();
+
+        const keep = new Uint8Array(actions.length);
+        keep[0] = 1;
+        keep[actions.length - 1] = 1;
+
+        // Iterative to avoid blowing the stack on long videos
+        const stack = [[0, actions.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const a = actions[first];
+            const b = actions[last];
+            const span = b.at - a.at;
+
+            let maxDist = -1;
+            let maxIdx = -1;
+            for (let i = first + 1; i < last; i++) {
+                const p = actions[i];
+                const expected = span > 0 ? a.pos + (b.pos - a.pos) * ((p.at - a.at) / span) : a.pos;
+                const dist = Math.abs(p.pos - expected);
+                if (dist > maxDist) {
+                    maxDist = dist;
+                    maxIdx = i;
+                }
+            }
+
+            if (maxIdx !== -1 && maxDist > tolerance) {
+                keep[maxIdx] = 1;
+                stack.push([first, maxIdx], [maxIdx, last]);
+            }
+        }
+
+        return actions.filter((_, i) => keep[i]);
+    },
+
+    /**
+     * Build the main Funscript plus one companion file per secondary feature track
+     * A track identical to the main script or to an already exported one gets no file
+     */
+    exportFiles(lovenseJson, videoName) {
+        const title = videoName.replace(/\.[^/.]+$/, '');
+        const features = PatternGenerator.getFeatures(lovenseJson);
+        const files = [{
+            filename: this.getFilename(videoName),
+            data: this.fromLovenseJson(lovenseJson, { title })
+        }];
+
+        const chunks = (lovenseJson.patterns || []).filter(p => p.command === 'Pattern');
+        const exported = [chunks.map(p => p.strength).join('|')];
+        features.slice(1).forEach(feature => {
+            // Only named axes can be read back (parseCompanionName)
+            if (!chunks[0]?._meta?.tracks?.[feature] || !this.axisNames[feature]) return;
+            const values = chunks.map(p => p._meta?.tracks?.[feature]).join('|');
+            if (exported.includes(values)) return;
+            exported.push(values);
+            files.push({
+                filename: this.getFilename(videoName, feature),
+                data: this.fromLovenseJson(lovenseJson, { title, feature })
+            });
+        });
+
+        return files;
+    },
+
+    /**
+     * Check whether parsed JSON looks like a Funscript
+     */
+    isFunscript(data) {
+        return Array.isArray(data?.actions);
+    },
+
+    /**
+     * Conversion settings embedded by fromTimeline as { settings, preset }, or null
+     */
+    getEmbeddedSettings(funscript) {
+        const settings = funscript?.metadata?.settings;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return null;
+        return { settings, preset: funscript.metadata.preset || null };
+    },
+
+    /**
+     * Normalize Funscript actions: sorted by time, 0-100 positions with range/inverted applied
+     */
+    parseActions(funscript) {
+        const range = funscript.range > 0 ? funscript.range : 100;
+        const inverted = !!funscript.inverted;
+
+        return funscript.actions
+            .filter(a => Number.isFinite(a?.at) && Number.isFinite(a?.pos))
+            .map(a => {
+                let pos = Utils.clamp((a.pos / range) * 100, 0, 100);
+                if (inverted) pos = 100 - pos;
+                return { at: a.at, pos };
+            })
+            .sort((a, b) => a.at - b.at);
+    },
+
+    /**
+     * Resample Funscript actions into 0-1 intensities at a fixed interval
+     * mode 'position' follows stroke depth, 'speed' follows stroke velocity
+     */
+    resample(actions, intervalMs, mode = 'position', speedForMax = 400) {
+        if (actions.length === 0) return [];
+
+        const endMs = actions[actions.length - 1].at;
+        const totalSteps = Math.ceil(endMs / intervalMs) + 1;
+        const values = [];
+        let seg = 0;
+
+        for (let step = 0; step < totalSteps; step++) {
+            const t = step * intervalMs;
+
+            // Advance to the segment [seg, seg + 1] that contains t
+            while (seg < actions.length - 2 && actions[seg + 1].at <= t) seg++;
+
+            const a = actions[seg];
+            const b = actions[Math.min(seg + 1, actions.length - 1)];
+            const span = b.at - a.at;
+
+            if (t < a.at || span <= 0) {
+                values.push(mode === 'speed' ? 0 : (t < a.at ? actions[0].pos : b.pos) / 100);
+                continue;
+            }
+
+            if (mode === 'speed') {
+                if (t > b.at) {
+                    values.push(0);
+                } else {
+                    const speed = Math.abs(b.pos - a.pos) / (span / 1000);
+                    values.push(Math.min(1, speed / speedForMax));
+                }
+            } else {
+                const frac = Math.min(1, (t - a.at) / span);
+                values.push((a.pos + (b.pos - a.pos) * frac) / 100);
+            }
+        }
+
+        return values;
+    },
+
+    /**
+     * Convert a Funscript into the official Lovense pattern format used for playback
+     */
+    toLovenseJson(funscript, settings = {}, companions = {}) {
+        const {
+            deviceType = 'generic-vibe',
+            minIntensity = 0,
+            maxIntensity = 20,
+            funscriptMapping = 'position'
+        } = settings;
+        const { intervalMs, adaptive, chunkSize } = PatternGenerator.getResolution(settings);
+
+        const actions = this.parseActions(funscript);
+        const values = this.resample(actions, intervalMs, funscriptMapping);
+
+        const range = maxIntensity - minIntensity;
+        const toStrength = v => Utils.clamp(Math.round(minIntensity + v * range), minIntensity, maxIntensity);
+        const strengths = values.map(toStrength);
+
+        // Features with a companion axis file get their own track; the rest follow the main script
+        const features = PatternGenerator.getFeatureString(deviceType).split(',');
+        const tracks = {};
+        features.slice(1).forEach(feature => {
+            if (!companions[feature]) return;
+            const axisValues = this.resample(this.parseActions(companions[feature]), intervalMs, funscriptMapping);
+            tracks[feature] = strengths.map((_, i) => toStrength(axisValues[Math.min(i, axisValues.length - 1)] || 0));
+        });
+        const primaryFeatures = features.filter(f => !tracks[f]);
+        const hasTracks = Object.keys(tracks).length > 0;
+
+        const patterns = PatternGenerator.chunkStrengths(strengths, primaryFeatures.join(','), intervalMs, {
+            chunkSize,
+            adaptive,
+            tracks: hasTracks ? tracks : null
+        });
+        const lastAt = actions.length > 0 ? actions[actions.length - 1].at / 1000 : 0;
+
+        return {
+            device: deviceType,
+            format: "official",
+            source: "funscript",
+            totalDuration: Math.max(lastAt, funscript.metadata?.duration || 0),
+            intervalMs: intervalMs,
+            patternCount: patterns.length,
+            totalPoints: patterns.reduce((sum, p) => sum + p._meta.points, 0),
+            features: [...primaryFeatures, ...Object.keys(tracks)],
+            settings: {
+                minIntensity,
+                maxIntensity,
+                funscriptMapping
+            },
+            patterns
+        };
+    },
+
+    /**
+     * Build the export filename for a video (optionally for a feature's companion axis)
+     */
+    getFilename(videoName, feature = null) {
+        const base = videoName.replace(/\.[^/.]+$/, '');
+        const axis = feature ? (this.axisNames[feature] || feature) : null;
+        return axis ? `${base}.${axis}.funscript` : `${base}.funscript`;
+    },
+
+    /**
+     * Recognize multi-axis companion files, e.g. "clip.pump.funscript" -> { base: 'clip', feature: 'p' }
+     */
+    parseCompanionName(filename) {
+        const match = filename.match(/^(.*)\.([a-z0-9]+)\.funscript$/i);
+        if (!match) return null;
+
+        const axis = match[2].toLowerCase();
+        const feature = Object.keys(this.axisNames).find(f => this.axisNames[f] === axis);
+        return feature ? { base: match[1], feature } : null;
+    }
+};
+
+// Export for use in other modules
+window.Funscript = Funscript;
@@ -0,0 +1,147 @@
+/**
+ * Loudness Module
+ * BS.1770-style K-weighted loudness and percentile normalization with a soft knee
+ * Plain functions over sample arrays: the analysis worker is built from them (toWorkerSource)
+ */
+
+const Loudness = {
+    absoluteGateLufs: -70,
+    normalizePercentile: 0.95,
+
+    /**
+     * BS.1770 K-weighting as two biquads (high-shelf pre-filter, then RLB high-pass),
+     * derived for any sample rate
+     */
+    kWeightingFilters(sampleRate) {
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = 10 ** (3.999843853973347 / 20);
+        const Vb = Vh ** 0.4996667741545416;
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+        
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+        
+        return [shelf, highPass];
+    },
+
+    /**
+     * K-weighted loudness (LUFS) of each 20ms frame on the hop grid, plus integrated loudness
+     * over 400ms blocks with the absolute (-70 LUFS) and relative (-10 LU) gates
+     * Streams the samples once, so no filtered copy of the audio is kept
+     */
+    measureLoudness(channelData, sampleRate, hopSec, frameCount) {
+        const [shelf, highPass] = this.kWeightingFilters(sampleRate);
+        const hopSamples = hopSec * sampleRate;
+        const bucketCount = frameCount + 1;
+        const sums = new Float64Array(bucketCount);
+        const counts = new Uint32Array(bucketCount);
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+        
+        for (let i = 0; i < channelData.length; i++) {
+            const x = channelData[i];
+            const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+            const z = highPass.b0 * y + highPass.b1 * y1 + highPass.b2 * y2 - highPass.a1 * z1 - highPass.a2 * z2;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            z2 = z1; z1 = z;
+            
+            const bucket = Math.min(bucketCount - 1, Math.floor(i / hopSamples));
+            sums[bucket] += z * z;
+            counts[bucket]++;
+        }
+        
+        const toLufs = meanSquare => meanSquare > 0 ? Math.max(-120, -0.691 + 10 * Math.log10(meanSquare)) : -120;
+        
+        // Each frame spans two 10ms buckets, matching the 20ms RMS window of volumeData
+        const frameLoudness = new Float32Array(frameCount);
+        for (let f = 0; f < frameCount; f++) {
+            const count = counts[f] + counts[f + 1];
+            frameLoudness[f] = toLufs(count > 0 ? (sums[f] + sums[f + 1]) / count : 0);
+        }
+        
+        // Gating blocks: 400ms long, every 100ms
+        const blockBuckets = Math.round(0.4 / hopSec);
+        const stepBuckets = Math.round(0.1 / hopSec);
+        const blocks = [];
+        for (let start = 0; start === 0 || start + blockBuckets <= bucketCount; start += stepBuckets) {
+            let sum = 0;
+            let count = 0;
+            for (let b = start; b < Math.min(bucketCount, start + blockBuckets); b++) {
+                sum += sums[b];
+                count += counts[b];
+            }
+            if (count > 0) blocks.push(sum / count);
+        }
+        
+        const meanOf = values => values.reduce((a, b) => a + b, 0) / values.length;
+        const aboveAbsolute = blocks.filter(ms => toLufs(ms) > this.absoluteGateLufs);
+        let integratedLoudness = null;
+        if (aboveAbsolute.length > 0) {
+            const relativeGate = toLufs(meanOf(aboveAbsolute)) - 10;
+            const gated = aboveAbsolute.filter(ms => toLufs(ms) > relativeGate);
+            integratedLoudness = Math.round(toLufs(meanOf(gated)) * 10) / 10;
+        }
+        
+        return { frameLoudness, integratedLoudness };
+    },
+
+    /**
+     * Scale non-negative levels so the 95th percentile of the non-zero ones lands on the
+     * soft knee: linear below it, smoothly compressed above so peaks approach 1 without clipping
+     * Returns { levels, reference } (reference = the percentile value, 0 when all silent)
+     */
+    normalizeLevels(values) {
+        const active = [];
+        for (let i = 0; i < values.length; i++) if (values[i] > 0) active.push(values[i]);
+        const levels = new Float32Array(values.length);
+        if (active.length === 0) return { levels, reference: 0 };
+        
+        active.sort((a, b) => a - b);
+        const reference = active[Math.min(active.length - 1, Math.floor(active.length * this.normalizePercentile))];
+        for (let i = 0; i < values.length; i++) {
+            levels[i] = this.softKnee(values[i] / reference);
+        }
+        return { levels, reference };
+    },
+
+    /**
+     * Soft-knee compressor curve: 0.9x up to 0.8, then an exponential approach to 1
+     * with a continuous slope at the knee
+     */
+    softKnee(x) {
+        const gain = 0.9;
+        const kneeStart = 0.8;
+        const kneeLevel = kneeStart * gain;
+        if (x <= kneeStart) return x * gain;
+        return kneeLevel + (1 - kneeLevel) * (1 - Math.exp(-(x - kneeStart) * gain / (1 - kneeLevel)));
+    },
+
+    /**
+     * Source declaring this module as `const Loudness = { ... }` inside the analysis worker
+     */
+    toWorkerSource() {
+        const members = Object.entries(this)
+            .filter(([key]) => key !== 'toWorkerSource')
+            .map(([key, value]) => typeof value === 'function' ? value.toString() : `${key}: ${JSON.stringify(value)}`);
+        return `const Loudness = {\n${members.join(',\n')}\n};`;
+    }
+};
+
+// Export for use in other modules
+window.Loudness = Loudness;
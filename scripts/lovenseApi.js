@@ -6,13 +6,49 @@
 const LovenseApi = {
     domain: null,
     devices: [],
-    activeDeviceId: null,
+    selectedDeviceIds: [],
     isConnected: false,
     
+    // API versions this app can speak; the highest one Connect also reports is used for every command
+    supportedApiVersions: [1],
+    apiVer: 1,
+    appInfo: null, // { appType, appVersion, platform } when Connect reports them
+    
+    /**
+     * Local Lovense Connect ports: Remote/Connect over HTTP and over HTTPS (*.lovense.club), and Connect for PC
+     */
+    ports: [
+        { port: 20010, secure: false },
+        { port: 30010, secure: true },
+        { port: 34567, secure: false }
+    ],
+    
+    // Network discovery
+    defaultScanRanges: '192.168.1.100-150, 192.168.0.100-150, 10.0.0.100-150, 172.16.0.100-150',
+    maxScanHosts: 1024,
+    scanConcurrency: 32,
+    scanTimeout: 800,
+    
+    // Connection health: a GetToys heartbeat while connected; consecutive failures trigger a reconnect
+    health: 'ok', // 'ok' | 'degraded' | 'reconnecting' | 'lost'
+    heartbeatIntervalMs: 10000,
+    heartbeatTimer: null,
+    commandTimeoutMs: 3000,
+    failureThreshold: 3,
+    consecutiveFailures: 0,
+    reconnectBaseMs: 1000,
+    reconnectMaxMs: 30000,
+    maxReconnectAttempts: 8,
+    reconnectAttempt: 0,
+    reconnectTimer: null,
+    
     // Event callbacks
     onConnectionChange: null,
     onDevicesUpdate: null,
     onNetworkActivity: null,
+    onHealthChange: null,
+    onReconnect: null,
+    onDevicesBack: null,
 
     /**
      * Log network activity (for privacy monitor)
@@ -53,86 +89,151 @@ const LovenseApi = {
         this.log('CLIENT', 'Local Browser', { action: 'cleared_saved_ip' }, 'Saved IP cleared from cache');
     },
 
+    /**
+     * Get the scan ranges (user-configured, or the defaults)
+     */
+    getScanRanges() {
+        return localStorage.getItem('lovense_scan_ranges') || this.defaultScanRanges;
+    },
+
+    /**
+     * Save scan ranges; returns an error message when they don't parse, otherwise null
+     * An empty value restores the defaults
+     */
+    setScanRanges(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            localStorage.removeItem('lovense_scan_ranges');
+            return null;
+        }
+        
+        const hosts = this.parseScanRanges(trimmed);
+        if (!hosts) return 'Use ranges like 192.168.1.100-150, 10.0.0.0/24 or 172.16.0';
+        if (hosts.length > this.maxScanHosts) return `Ranges cover ${hosts.length} addresses (max ${this.maxScanHosts})`;
+        
+        localStorage.setItem('lovense_scan_ranges', trimmed);
+        return null;
+    },
+
+    /**
+     * Expand scan ranges into IP addresses, or null if any entry is malformed
+     * Accepts "a.b.c" (hosts 1-254), "a.b.c.d", "a.b.c.d-e" and "a.b.c.d/24" (prefixes 24-32)
+     */
+    parseScanRanges(text) {
+        const hosts = [];
+        const octet = (s) => /^\d{1,3}$/.test(s) && Number(s) <= 255;
+        
+        for (const entry of text.split(/[\s,;]+/).filter(Boolean)) {
+            const match = entry.match(/^(\d+\.\d+\.\d+)(?:\.(\d+)(?:-(\d+)|\/(\d+))?)?$/);
+            if (!match || !match[1].split('.').every(octet)) return null;
+            
+            const [, prefix, start, end, bits] = match;
+            let from = 1;
+            let to = 254;
+            if (start !== undefined) {
+                if (!octet(start)) return null;
+                from = Number(start);
+                to = from;
+                if (end !== undefined) {
+                    if (!octet(end) || Number(end) < from) return null;
+                    to = Number(end);
+                } else if (bits !== undefined) {
+                    if (Number(bits) < 24 || Number(bits) > 32) return null;
+                    const size = 2 ** (32 - Number(bits));
+                    from = from - (from % size);
+                    to = from + size - 1;
+                    // Skip network and broadcast addresses of real subnets
+                    if (size > 2) {
+                        from++;
+                        to--;
+                    }
+                }
+            }
+            
+            for (let i = from; i <= to; i++) hosts.push(`${prefix}.${i}`);
+        }
+        
+        return hosts.length > 0 ? Array.from(new Set(hosts)) : null;
+    },
+
+    /**
+     * Endpoints to try for a host: a full URL is used as is, "host:port" picks the scheme for that port,
+     * and a bare IP gets every known port. Pages served over HTTPS can only reach the HTTPS form
+     */
+    getEndpoints(host) {
+        const value = host.trim().replace(/\/+$/, '');
+        if (/^https?:\/\//i.test(value)) return [value];
+        
+        const [name, portText] = value.split(':');
+        const isLovenseClub = name.endsWith('.lovense.club');
+        const ports = portText
+            ? [this.ports.find(p => p.port === Number(portText)) || { port: Number(portText), secure: isLovenseClub }]
+            : this.ports.filter(p => p.secure || !isLovenseClub);
+        const pageIsSecure = typeof location !== 'undefined' && location.protocol === 'https:';
+        
+        return ports
+            .filter(p => p.secure || !pageIsSecure || isLovenseClub)
+            .map(p => {
+                if (isLovenseClub) return `https://${name}:${p.port}`;
+                if (!p.secure) return `http://${name}:${p.port}`;
+                // Lovense serves a valid certificate for "192-168-1-5.lovense.club", which resolves to 192.168.1.5
+                const isIP = /^\d+\.\d+\.\d+\.\d+$/.test(name);
+                return `https://${isIP ? `${name.replace(/\./g, '-')}.lovense.club` : name}:${p.port}`;
+            });
+    },
+
     /**
      * Discover devices on the network
      */
     async discoverDevices(manualIP = null) {
-        let foundDevices = null;
-        let workingEndpoint = null;
+        let found = null;
 
         // Try saved IP first
         const savedIP = this.getSavedIP();
         if (savedIP) {
-            const result = await this.tryIP(savedIP, 'Trying saved IP');
-            if (result) {
-                foundDevices = result.devices;
-                workingEndpoint = result.endpoint;
-            }
+            found = await this.tryHost(savedIP, 'Trying saved IP');
         }
 
         // Try manual IP if provided
-        if (!foundDevices && manualIP) {
-            const result = await this.tryIP(manualIP, 'Trying manual IP');
-            if (result) {
-                foundDevices = result.devices;
-                workingEndpoint = result.endpoint;
+        if (!found && manualIP) {
+            found = await this.tryHost(manualIP, 'Trying manual IP');
+            if (found) {
                 this.saveIP(manualIP);
             }
         }
 
         // Scan network if needed
-        if (!foundDevices) {
-            this.log('CLIENT', 'Local Browser', { action: 'starting_network_scan' }, 
-                'No saved IP worked, scanning local network...');
-
-            const ipsToTry = [];
-            
-            // Common ranges
-            for (let i = 100; i < 130; i++) {
-                ipsToTry.push(`10.0.0.${i}`);
-            }
-            for (let i = 100; i < 130; i++) {
-                ipsToTry.push(`192.168.1.${i}`);
-            }
-
-            for (const ip of ipsToTry) {
-                const result = await this.tryIP(ip, null, 500); // Shorter timeout for scanning
-                if (result) {
-                    foundDevices = result.devices;
-                    workingEndpoint = result.endpoint;
-                    this.saveIP(ip);
-                    break;
-                }
+        if (!found) {
+            found = await this.scanNetwork();
+            if (found) {
+                this.saveIP(found.host);
             }
         }
 
-        if (foundDevices && workingEndpoint) {
-            const deviceArray = Object.entries(foundDevices).map(([id, device]) => ({
-                id,
-                name: device.name || 'Unknown Device',
-                nickname: device.nickName || device.name || 'Unnamed',
-                status: device.status === '1',
-                battery: device.battery || 0,
-                deviceType: device.name,
-            }));
+        if (found) {
+            const deviceArray = this.toDeviceArray(found.devices);
 
+            this.stopReconnect();
             this.devices = deviceArray;
-            this.domain = workingEndpoint;
+            this.domain = found.endpoint;
             this.isConnected = true;
+            this.negotiateApi(found.info);
             
-            if (deviceArray.length > 0) {
-                this.activeDeviceId = deviceArray[0].id;
-            }
+            // Drive every toy by default; the device bar narrows the selection
+            this.selectedDeviceIds = deviceArray.map(d => d.id);
 
             this.log('CLIENT', 'Local Browser', {
                 action: 'devices_connected',
-                endpoint: workingEndpoint,
+                endpoint: found.endpoint,
                 device_count: deviceArray.length
-            }, `Connected! Using: ${workingEndpoint}`);
+            }, `Connected! Using: ${found.endpoint}`);
 
             if (this.onConnectionChange) {
                 this.onConnectionChange(true, deviceArray);
             }
+            this.consecutiveFailures = 0;
+            this.setHealth(this.getUnavailableDevices().length > 0 ? 'degraded' : 'ok');
+            this.startHeartbeat();
 
             return { success: true, devices: deviceArray };
         }
@@ -141,43 +242,154 @@ const LovenseApi = {
     },
 
     /**
-     * Try to connect to a specific IP
+     * Device list from a GetToys toys object
      */
-    async tryIP(ip, logNote = null, timeout = 2000) {
-        const testUrl = `http://${ip}:20010`;
+    toDeviceArray(toys) {
+        return Object.entries(toys).map(([id, device]) => ({
+            id,
+            name: device.name || 'Unknown Device',
+            nickname: device.nickName || device.name || 'Unnamed',
+            status: String(device.status) === '1',
+            battery: device.battery || 0,
+            deviceType: device.name,
+            capabilities: ToyCapabilities.fromToy(device)
+        }));
+    },
+
+    /**
+     * Refresh status, battery and capabilities from a fresh GetToys answer
+     * Selected toys stay selected; toys that appeared since connecting are selected too.
+     * Selected toys that come back online are reported through onDevicesBack
+     */
+    updateDevices(toys) {
+        const previous = new Map(this.devices.map(d => [d.id, d]));
+        const deviceArray = this.toDeviceArray(toys);
+        
+        // A toy that was turned back on gets a clean slate; otherwise rejections stick until a command gets through
+        deviceArray.forEach(device => {
+            const before = previous.get(device.id);
+            device.rejected = !!before?.rejected && before.status === device.status;
+        });
+        
+        this.devices = deviceArray;
+        this.selectedDeviceIds = deviceArray
+            .map(d => d.id)
+            .filter(id => this.selectedDeviceIds.includes(id) || !previous.has(id));
         
-        if (logNote) {
-            this.log('REQUEST', testUrl, { command: 'GetToys' }, `${logNote}: ${ip}`);
+        const back = this.getSelectedDevices().filter(d => d.status && previous.get(d.id)?.status === false);
+        
+        if (this.onDevicesUpdate) {
+            this.onDevicesUpdate(this.devices, this.selectedDeviceIds);
         }
+        if (back.length > 0 && this.onDevicesBack) {
+            this.onDevicesBack(back);
+        }
+    },
 
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), timeout);
+    /**
+     * Try every endpoint of one host at once; resolves with the first that answers, or null
+     */
+    async tryHost(host, logNote, timeout = 2000) {
+        const endpoints = this.getEndpoints(host);
+        this.log('CLIENT', 'Local Browser', { action: 'try_host', host, endpoints }, `${logNote}: ${host}`);
+        
+        const group = new AbortController();
+        const results = await Promise.all(endpoints.map(async endpoint => {
+            const result = await this.probe(endpoint, timeout, group.signal);
+            if (result) group.abort();
+            return result;
+        }));
+        
+        const found = results.find(Boolean);
+        return found ? { ...found, host } : null;
+    },
+
+    /**
+     * Probe the configured ranges in parallel (at most scanConcurrency requests in flight)
+     * Stops at the first endpoint that answers
+     */
+    async scanNetwork() {
+        const hosts = this.parseScanRanges(this.getScanRanges()) || this.parseScanRanges(this.defaultScanRanges);
+        const probes = hosts.flatMap(host => this.getEndpoints(host).map(endpoint => ({ host, endpoint })));
+        const startedAt = Date.now();
+        
+        this.log('CLIENT', 'Local Browser', {
+            action: 'starting_network_scan',
+            ranges: this.getScanRanges(),
+            addresses: hosts.length,
+            probes: probes.length
+        }, `No saved IP worked, scanning ${hosts.length} addresses...`);
+        
+        const scan = new AbortController();
+        let found = null;
+        let next = 0;
+        
+        const worker = async () => {
+            while (!found && next < probes.length) {
+                const { host, endpoint } = probes[next++];
+                const result = await this.probe(endpoint, this.scanTimeout, scan.signal);
+                if (result && !found) {
+                    found = { ...result, host };
+                    scan.abort();
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.scanConcurrency, probes.length) }, worker));
+        
+        const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+        this.log('CLIENT', 'Local Browser', { action: 'network_scan_finished', found: !!found },
+            found ? `Found Lovense Connect at ${found.endpoint} after ${seconds}s` : `Scan finished after ${seconds}s, nothing found`);
+        
+        return found;
+    },
 
-            const response = await fetch(`${testUrl}/command`, {
+    /**
+     * Send GetToys to one endpoint; every outcome is logged to the privacy monitor
+     * except probes cancelled because another endpoint already answered
+     */
+    async probe(endpoint, timeout, signal = null) {
+        if (signal?.aborted) return null;
+        
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+
+        try {
+            const response = await fetch(`${endpoint}/command`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ command: 'GetToys' }),
                 signal: controller.signal
             });
-
-            clearTimeout(timeoutId);
             const data = await response.json();
 
             if (data.code === 200 && data.data?.toys) {
-                const devices = JSON.parse(data.data.toys);
+                const devices = typeof data.data.toys === 'string' ? JSON.parse(data.data.toys) : data.data.toys;
                 
-                this.log('RESPONSE', testUrl, { 
+                this.log('RESPONSE', endpoint, { 
                     code: data.code, 
-                    devices_found: Object.keys(devices).length 
+                    devices_found: Object.keys(devices).length,
+                    app: data.data.appType || data.data.platform || null
                 }, `SUCCESS! Found ${Object.keys(devices).length} device(s)`);
 
-                return { devices, endpoint: testUrl };
+                return { devices, endpoint, info: { ...data.data, toys: undefined, apiVer: data.data.apiVer ?? data.apiVer } };
             }
+            
+            this.log('PROBE', endpoint, { code: data.code }, `Answered without toys (code ${data.code})`);
         } catch (err) {
-            if (logNote) {
-                this.log('ERROR', ip, { error: 'Connection failed' }, `${ip} not responding`);
+            if (timedOut) {
+                this.log('PROBE', endpoint, { result: 'timeout', timeout_ms: timeout }, 'No response');
+            } else if (!signal?.aborted) {
+                this.log('PROBE', endpoint, { result: 'error', error: err.message }, 'Connection refused or blocked');
             }
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', cancel);
         }
 
         return null;
@@ -185,9 +397,12 @@ const LovenseApi = {
 
     /**
      * Send pattern to device
+     * Resolves to 'ok', 'rejected' (Connect answered with an error, e.g. the toy is off),
+     * 'failed' (no answer) or 'skipped' (not connected, or held back while reconnecting)
      */
     async sendPattern(deviceId, pattern, duration, rawCommand = null) {
-        if (!this.domain) return false;
+        // Commands are held back while reconnecting; playback resends once the link is back
+        if (!this.domain || this.health === 'reconnecting') return 'skipped';
 
         const activeDevice = this.devices.find(d => d.id === deviceId);
         
@@ -195,15 +410,17 @@ const LovenseApi = {
         
         if (rawCommand) {
             // Use raw command from official format
-            payload = { ...rawCommand, toy: deviceId };
+            payload = { ...rawCommand, toy: deviceId, apiVer: this.apiVer };
             delete payload._meta;
         } else {
-            // Build command from simple pattern
-            const isGush = activeDevice?.deviceType?.toLowerCase() === 'gush';
+            // Build command from simple pattern, moved onto the toy's main motor
+            const mainFeature = this.getFeatures(activeDevice)[0];
             let action = pattern.includes(';') ? pattern.replace(/;/g, ',') : pattern;
             
-            if (isGush) {
-                action = action.replace(/Vibrate/g, 'Oscillate').replace(/Thrusting/g, 'Oscillate');
+            if (mainFeature !== 'v') {
+                action = action
+                    .replace(/Vibrate|Thrusting/g, ToyCapabilities.actions[mainFeature])
+                    .replace(/\bv:/g, `${mainFeature}:`);
             }
             
             payload = {
@@ -211,72 +428,372 @@ const LovenseApi = {
                 action: action,
                 timeSec: duration,
                 toy: deviceId,
-                apiVer: 1
+                apiVer: this.apiVer
             };
         }
 
         this.log('REQUEST', this.domain, payload, `Sending ${payload.command} command`);
 
         try {
-            const response = await fetch(`${this.domain}/command`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            const data = await response.json();
+            const data = await this.postCommand(payload);
             
             this.log('RESPONSE', this.domain, { 
                 code: data.code, 
                 success: data.code === 200 
             }, data.code === 200 ? 'Command sent successfully' : `Failed: ${data.code}`);
             
-            return data.code === 200;
+            if (activeDevice) activeDevice.rejected = data.code !== 200;
+            return data.code === 200 ? 'ok' : 'rejected';
         } catch (err) {
             this.log('ERROR', this.domain, { error: err.message }, 'Command failed');
-            return false;
+            return 'failed';
         }
     },
 
     /**
-     * Stop device
+     * Count one send (to any number of toys and tracks) as a single success or failure for
+     * connection health. Resolves true when every toy accepted its command
      */
-    async stopDevice(deviceId) {
+    async settle(sends) {
+        const outcomes = await Promise.all(sends);
+        
+        const failed = outcomes.includes('failed');
+        if (failed) {
+            this.recordFailure('Command failed');
+        } else if (outcomes.some(outcome => outcome !== 'skipped')) {
+            this.recordSuccess();
+        }
+        return outcomes.length > 0 && outcomes.every(outcome => outcome === 'ok');
+    },
+
+    /**
+     * POST a command to the connected endpoint; rejects when Connect doesn't answer within commandTimeoutMs
+     */
+    async postCommand(payload) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.commandTimeoutMs);
+        
+        try {
+            const response = await fetch(`${this.domain}/command`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+            return await response.json();
+        } catch (err) {
+            throw controller.signal.aborted ? new Error(`No answer within ${this.commandTimeoutMs}ms`) : err;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    },
+
+    /**
+     * Set the connection health and notify listeners (on every update while degraded or reconnecting)
+     * info carries { attempt, delayMs } while reconnecting and { failures, error } otherwise
+     */
+    setHealth(health, info = {}) {
+        const changed = health !== this.health || health === 'reconnecting' || health === 'degraded';
+        this.health = health;
+        if (changed && this.onHealthChange) {
+            this.onHealthChange(health, info);
+        }
+    },
+
+    /**
+     * Selected toys that are switched off or rejecting commands
+     */
+    getUnavailableDevices() {
+        return this.getSelectedDevices().filter(d => !d.status || d.rejected);
+    },
+
+    /**
+     * Degraded while sends are failing or a selected toy is unavailable, otherwise ok
+     */
+    updateHealth(info = {}) {
+        if (!this.isConnected || this.health === 'reconnecting') return;
+        
+        const degraded = this.consecutiveFailures > 0 || this.getUnavailableDevices().length > 0;
+        this.setHealth(degraded ? 'degraded' : 'ok', info);
+    },
+
+    /**
+     * A send or heartbeat got through
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.updateHealth();
+    },
+
+    /**
+     * A send or heartbeat failed; enough in a row and the connection is re-established
+     */
+    recordFailure(error) {
+        if (!this.isConnected || this.health === 'reconnecting') return;
+        
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.failureThreshold) {
+            this.startReconnect();
+        } else {
+            this.updateHealth({ failures: this.consecutiveFailures, error });
+        }
+    },
+
+    /**
+     * Poll GetToys every heartbeatIntervalMs to keep status and battery current and catch a silent drop
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatIntervalMs);
+    },
+
+    /**
+     * Stop the heartbeat
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    },
+
+    /**
+     * One heartbeat: refresh the devices, or count a failure
+     */
+    async heartbeat() {
+        if (!this.domain || this.health === 'reconnecting') return;
+        
+        const result = await this.probe(this.domain, this.commandTimeoutMs);
+        if (!this.domain || this.health === 'reconnecting') return;
+        
+        if (result) {
+            this.updateDevices(result.devices);
+            this.recordSuccess();
+        } else {
+            this.recordFailure('Heartbeat failed');
+        }
+    },
+
+    /**
+     * Re-establish the connection to the same endpoint, waiting reconnectBaseMs * 2^n between attempts
+     * (capped at reconnectMaxMs); after maxReconnectAttempts the connection is given up as lost
+     */
+    startReconnect() {
+        this.stopHeartbeat();
+        this.stopReconnect();
+        this.reconnectAttempt = 0;
+        
+        this.log('CLIENT', 'Local Browser', {
+            action: 'reconnecting',
+            endpoint: this.domain,
+            failures: this.consecutiveFailures
+        }, `Connection lost after ${this.consecutiveFailures} failures, reconnecting...`);
+        
+        this.scheduleReconnect();
+    },
+
+    /**
+     * Queue the next reconnect attempt
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+            this.connectionLost();
+            return;
+        }
+        
+        const delayMs = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempt, this.reconnectMaxMs);
+        this.reconnectAttempt++;
+        this.setHealth('reconnecting', { attempt: this.reconnectAttempt, delayMs });
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delayMs);
+    },
+
+    /**
+     * One reconnect attempt
+     */
+    async reconnect() {
+        this.reconnectTimer = null;
         if (!this.domain) return;
+        
+        const result = await this.probe(this.domain, this.commandTimeoutMs);
+        if (!this.domain || this.health !== 'reconnecting') return;
+        
+        if (!result) {
+            this.scheduleReconnect();
+            return;
+        }
+        
+        this.log('CLIENT', 'Local Browser', {
+            action: 'reconnected',
+            endpoint: this.domain,
+            attempt: this.reconnectAttempt
+        }, `Reconnected after ${this.reconnectAttempt} attempt(s)`);
+        
+        this.consecutiveFailures = 0;
+        this.reconnectAttempt = 0;
+        this.negotiateApi(result.info);
+        this.updateDevices(result.devices);
+        this.setHealth(this.getUnavailableDevices().length > 0 ? 'degraded' : 'ok');
+        this.startHeartbeat();
+        
+        if (this.onReconnect) {
+            this.onReconnect(this.devices);
+        }
+    },
+
+    /**
+     * Cancel a pending reconnect attempt
+     */
+    stopReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+    },
+
+    /**
+     * Give up reconnecting: drop the connection but keep the saved IP for a manual reconnect
+     */
+    connectionLost() {
+        this.log('CLIENT', 'Local Browser', {
+            action: 'connection_lost',
+            endpoint: this.domain,
+            attempts: this.reconnectAttempt
+        }, `Gave up after ${this.reconnectAttempt} reconnect attempts`);
+        
+        this.domain = null;
+        this.devices = [];
+        this.selectedDeviceIds = [];
+        this.isConnected = false;
+        this.consecutiveFailures = 0;
+        
+        if (this.onConnectionChange) {
+            this.onConnectionChange(false, []);
+        }
+        this.setHealth('lost');
+    },
+
+    /**
+     * Pick the API version for commands from what Connect reported in GetToys, and record which
+     * app answered (shown in the privacy monitor). Apps that report no version speak version 1
+     */
+    negotiateApi(info = {}) {
+        const reported = String(info?.apiVer ?? '')
+            .split(',')
+            .map(v => parseInt(v))
+            .filter(v => !isNaN(v));
+        const common = this.supportedApiVersions.filter(v => reported.length === 0 || reported.some(r => r >= v));
+        this.apiVer = reported.length > 0 && common.length > 0 ? Math.max(...common) : 1;
+        this.appInfo = {
+            appType: info?.appType || null,
+            appVersion: info?.appVersion || null,
+            platform: info?.platform || null
+        };
+        
+        this.log('CLIENT', 'Local Browser', {
+            action: 'api_negotiated',
+            apiVer: this.apiVer,
+            reported: reported.length > 0 ? reported : null,
+            ...this.appInfo
+        }, `Connected to ${this.appInfo.appType || 'Lovense Connect'}, using API version ${this.apiVer}`);
+    },
+
+    /**
+     * Feature letters a toy supports, main motor first
+     */
+    getFeatures(device) {
+        return device?.capabilities?.features || ToyCapabilities.forModel(device?.deviceType);
+    },
+
+    /**
+     * Fit a script's commands (primary + feature tracks) to one toy as a single Pattern: the primary
+     * plays on the features it names that the toy has (otherwise on the toy's main motor), and every
+     * other motor of the toy that a track names joins its F: list. Connect runs one Pattern per toy
+     * and a new one replaces the running one, so all of a toy's motors follow the primary strengths
+     */
+    mapCommandForDevice(device, commands) {
+        const features = this.getFeatures(device);
+        const featuresOf = (command) => (command.rule?.match(/F:([^;#]+)/i)?.[1] || '')
+            .toLowerCase()
+            .split(',')
+            .filter(Boolean);
+        
+        const [main, ...extra] = commands;
+        const named = featuresOf(main);
+        if (named.length === 0) return main;
+        
+        const supported = named.filter(f => features.includes(f));
+        const playing = supported.length > 0 ? supported : [features[0]];
+        extra.forEach(command => {
+            const feature = featuresOf(command)[0];
+            if (features.includes(feature) && !playing.includes(feature)) playing.push(feature);
+        });
+        return { ...main, rule: main.rule.replace(/F:[^;#]+/i, `F:${playing.join(',')}`) };
+    },
+
+    /**
+     * Send a pattern to one toy (one request per chunk, whatever its motors);
+     * resolves to the sendPattern outcome (pass it to settle)
+     */
+    async sendToDevice(device, pattern, duration, rawCommand = null) {
+        if (!rawCommand) return this.sendPattern(device.id, pattern, duration);
+        
+        const command = this.mapCommandForDevice(device, PatternGenerator.expandTracks(rawCommand));
+        return this.sendPattern(device.id, pattern, duration, command);
+    },
+
+    /**
+     * Send the same pattern to every selected toy at once, each with its own feature mapping
+     * Resolves true when every toy accepted it
+     */
+    async sendToSelected(pattern, duration, rawCommand = null) {
+        const devices = this.getSelectedDevices();
+        if (!this.domain || devices.length === 0) return false;
+        
+        return this.settle(devices.map(device => this.sendToDevice(device, pattern, duration, rawCommand)));
+    },
+
+    /**
+     * Stop device; resolves to 'ok', 'failed' or 'skipped' (pass it to settle)
+     */
+    async stopDevice(deviceId) {
+        if (!this.domain || this.health === 'reconnecting') return 'skipped';
 
         const payload = {
             command: 'Function',
             action: 'Stop',
             timeSec: 0,
             toy: deviceId,
-            apiVer: 1
+            apiVer: this.apiVer
         };
 
         this.log('REQUEST', this.domain, payload, 'Stopping device');
 
         try {
-            await fetch(`${this.domain}/command`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+            await this.postCommand(payload);
+            return 'ok';
         } catch (err) {
             console.error('Stop failed:', err);
+            return 'failed';
         }
     },
 
+    /**
+     * Stop every connected toy, selected or not (a toy deselected mid-pattern would keep running)
+     */
+    async stopAll() {
+        await this.settle(this.devices.map(d => this.stopDevice(d.id)));
+    },
+
     /**
      * Disconnect
      */
     disconnect() {
-        if (this.activeDeviceId) {
-            this.stopDevice(this.activeDeviceId);
-        }
+        this.stopAll();
+        this.stopHeartbeat();
+        this.stopReconnect();
         
         this.domain = null;
         this.devices = [];
-        this.activeDeviceId = null;
+        this.selectedDeviceIds = [];
         this.isConnected = false;
+        this.consecutiveFailures = 0;
+        this.health = 'ok';
         
         if (this.onConnectionChange) {
             this.onConnectionChange(false, []);
@@ -284,20 +801,31 @@ const LovenseApi = {
     },
 
     /**
-     * Set active device
+     * Choose which toys play the script; toys taken out of the selection are stopped
      */
-    setActiveDevice(deviceId) {
-        this.activeDeviceId = deviceId;
+    setSelectedDevices(deviceIds) {
+        const removed = this.selectedDeviceIds.filter(id => !deviceIds.includes(id));
+        this.settle(removed.map(id => this.stopDevice(id)));
+        
+        this.selectedDeviceIds = this.devices.map(d => d.id).filter(id => deviceIds.includes(id));
         if (this.onDevicesUpdate) {
-            this.onDevicesUpdate(this.devices, this.activeDeviceId);
+            this.onDevicesUpdate(this.devices, this.selectedDeviceIds);
         }
+        this.updateHealth();
+    },
+
+    /**
+     * Get selected devices info
+     */
+    getSelectedDevices() {
+        return this.devices.filter(d => this.selectedDeviceIds.includes(d.id));
     },
 
     /**
-     * Get active device info
+     * Whether commands have anywhere to go
      */
-    getActiveDevice() {
-        return this.devices.find(d => d.id === this.activeDeviceId);
+    hasSelection() {
+        return this.isConnected && this.selectedDeviceIds.length > 0;
     }
 };
 
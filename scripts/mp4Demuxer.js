@@ -0,0 +1,284 @@
+/**
+ * MP4 Demuxer Module
+ * Locates the audio track of an MP4/MOV file and builds its sample table,
+ * reading only the box headers and the moov box (never the whole file)
+ */
+
+const Mp4Demuxer = {
+    /**
+     * Read a box header at a file offset
+     * Returns { type, size, headerSize }, or null past the end of the file or on a malformed header
+     */
+    async readBoxHeader(file, offset) {
+        if (offset + 8 > file.size) return null;
+
+        const buffer = await Utils.readFileAsArrayBuffer(file.slice(offset, offset + 16));
+        const view = new DataView(buffer);
+        const type = this.readType(view, 4);
+        let size = view.getUint32(0);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (buffer.byteLength < 16) return null;
+            size = view.getUint32(8) * 2 ** 32 + view.getUint32(12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+
+        // Box types are printable four-character codes; anything else is not an MP4
+        if (size < headerSize || !/^[\x20-\x7e]{4}$/.test(type)) return null;
+        return { type, size, headerSize };
+    },
+
+    /**
+     * Four-character box type at a byte position
+     */
+    readType(view, pos) {
+        return String.fromCharCode(
+            view.getUint8(pos), view.getUint8(pos + 1), view.getUint8(pos + 2), view.getUint8(pos + 3)
+        );
+    },
+
+    /**
+     * List the child boxes between two positions of a DataView as { type, start, end }
+     * (start is the first byte after the child's header)
+     */
+    parseBoxes(view, start, end) {
+        const boxes = [];
+        let pos = start;
+
+        while (pos + 8 <= end) {
+            let size = view.getUint32(pos);
+            let headerSize = 8;
+            if (size === 1) {
+                size = view.getUint32(pos + 8) * 2 ** 32 + view.getUint32(pos + 12);
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - pos;
+            }
+            if (size < headerSize || pos + size > end) break;
+
+            boxes.push({ type: this.readType(view, pos + 4), start: pos + headerSize, end: pos + size });
+            pos += size;
+        }
+
+        return boxes;
+    },
+
+    /**
+     * Follow a path of box types (e.g. ['mdia', 'minf', 'stbl']) down from a box
+     */
+    findBox(view, box, path) {
+        let current = box;
+        for (const type of path) {
+            current = this.parseBoxes(view, current.start, current.end).find(b => b.type === type);
+            if (!current) return null;
+        }
+        return current;
+    },
+
+    /**
+     * Find the first sound track and return its decoder config and sample table
+     * Returns null when the file is not an MP4 or has no AAC/MP3 audio track
+     */
+    async parse(file) {
+        // Walk the top-level boxes until moov (it may sit after a multi-GB mdat)
+        let offset = 0;
+        let moov = null;
+        while (offset < file.size) {
+            const header = await this.readBoxHeader(file, offset);
+            if (!header) return null;
+            if (header.type === 'moov') {
+                moov = await Utils.readFileAsArrayBuffer(file.slice(offset, offset + header.size));
+                break;
+            }
+            offset += header.size;
+        }
+        if (!moov) return null;
+
+        const view = new DataView(moov);
+        const root = this.parseBoxes(view, 0, moov.byteLength)[0];
+        const traks = this.parseBoxes(view, root.start, root.end).filter(b => b.type === 'trak');
+
+        for (const trak of traks) {
+            const hdlr = this.findBox(view, trak, ['mdia', 'hdlr']);
+            if (!hdlr || this.readType(view, hdlr.start + 8) !== 'soun') continue;
+
+            const track = this.parseAudioTrack(view, trak);
+            if (track) return track;
+        }
+
+        return null;
+    },
+
+    /**
+     * Parse mdhd and the sample table of a sound trak
+     */
+    parseAudioTrack(view, trak) {
+        const mdhd = this.findBox(view, trak, ['mdia', 'mdhd']);
+        const stbl = this.findBox(view, trak, ['mdia', 'minf', 'stbl']);
+        if (!mdhd || !stbl) return null;
+
+        const mdhdVersion = view.getUint8(mdhd.start);
+        const timescale = view.getUint32(mdhd.start + (mdhdVersion === 1 ? 20 : 12));
+        const durationUnits = mdhdVersion === 1
+            ? view.getUint32(mdhd.start + 24) * 2 ** 32 + view.getUint32(mdhd.start + 28)
+            : view.getUint32(mdhd.start + 16);
+
+        const children = this.parseBoxes(view, stbl.start, stbl.end);
+        const child = type => children.find(b => b.type === type);
+
+        const entry = this.parseSampleEntry(view, child('stsd'));
+        const stts = child('stts');
+        const stsc = child('stsc');
+        const stsz = child('stsz');
+        const stco = child('stco') || child('co64');
+        if (!entry || !stts || !stsc || !stsz || !stco || !timescale) return null;
+
+        // Sample sizes
+        const fixedSize = view.getUint32(stsz.start + 4);
+        const sampleCount = view.getUint32(stsz.start + 8);
+        const sizes = new Uint32Array(sampleCount);
+        for (let i = 0; i < sampleCount; i++) {
+            sizes[i] = fixedSize || view.getUint32(stsz.start + 12 + i * 4);
+        }
+
+        // Decode timestamps (in timescale units) from the time-to-sample runs
+        const timestamps = new Float64Array(sampleCount);
+        let sample = 0;
+        let time = 0;
+        const sttsCount = view.getUint32(stts.start + 4);
+        for (let e = 0; e < sttsCount && sample < sampleCount; e++) {
+            const count = view.getUint32(stts.start + 8 + e * 8);
+            const delta = view.getUint32(stts.start + 12 + e * 8);
+            for (let i = 0; i < count && sample < sampleCount; i++) {
+                timestamps[sample++] = time;
+                time += delta;
+            }
+        }
+
+        // File offsets: chunk offsets plus the sizes of earlier samples in the same chunk
+        const is64 = stco.type === 'co64';
+        const chunkCount = view.getUint32(stco.start + 4);
+        const chunkOffset = c => is64
+            ? view.getUint32(stco.start + 8 + c * 8) * 2 ** 32 + view.getUint32(stco.start + 12 + c * 8)
+            : view.getUint32(stco.start + 8 + c * 4);
+
+        const offsets = new Float64Array(sampleCount);
+        const stscCount = view.getUint32(stsc.start + 4);
+        sample = 0;
+        for (let e = 0; e < stscCount; e++) {
+            const firstChunk = view.getUint32(stsc.start + 8 + e * 12) - 1;
+            const samplesPerChunk = view.getUint32(stsc.start + 12 + e * 12);
+            const lastChunk = e + 1 < stscCount ? view.getUint32(stsc.start + 20 + e * 12) - 1 : chunkCount;
+
+            for (let c = firstChunk; c < lastChunk && sample < sampleCount; c++) {
+                let pos = chunkOffset(c);
+                for (let i = 0; i < samplesPerChunk && sample < sampleCount; i++) {
+                    offsets[sample] = pos;
+                    pos += sizes[sample];
+                    sample++;
+                }
+            }
+        }
+
+        return {
+            ...entry,
+            timescale,
+            duration: (durationUnits || time) / timescale,
+            sampleCount,
+            offsets,
+            sizes,
+            timestamps
+        };
+    },
+
+    /**
+     * Read the first stsd entry: codec string, channel count, sample rate and AudioSpecificConfig
+     */
+    parseSampleEntry(view, stsd) {
+        if (!stsd) return null;
+
+        const entry = this.parseBoxes(view, stsd.start + 8, stsd.end)[0];
+        if (!entry || (entry.type !== 'mp4a' && entry.type !== '.mp3')) return null;
+
+        // QuickTime sound description versions 1 and 2 append extra fields before the child boxes
+        const soundVersion = view.getUint16(entry.start + 8);
+        let numberOfChannels = view.getUint16(entry.start + 16);
+        let sampleRate = view.getUint32(entry.start + 24) / 65536;
+        let childStart = entry.start + 28;
+        if (soundVersion === 1) {
+            childStart += 16;
+        } else if (soundVersion === 2) {
+            sampleRate = view.getFloat64(entry.start + 32);
+            numberOfChannels = view.getUint32(entry.start + 40);
+            childStart += 36;
+        }
+
+        if (entry.type === '.mp3') {
+            return { codec: 'mp3', numberOfChannels, sampleRate, description: null };
+        }
+
+        const esds = this.parseBoxes(view, childStart, entry.end).find(b => b.type === 'esds')
+            || this.findBox(view, { start: childStart, end: entry.end }, ['wave', 'esds']);
+        if (!esds) return null;
+
+        const config = this.parseEsds(view, esds.start + 4, esds.end);
+        if (!config) return null;
+
+        return { ...config, numberOfChannels, sampleRate };
+    },
+
+    /**
+     * Walk the ES_Descriptor -> DecoderConfigDescriptor -> DecoderSpecificInfo chain of an esds box
+     */
+    parseEsds(view, start, end) {
+        let pos = start;
+
+        const readDescriptor = () => {
+            if (pos + 2 > end) return null;
+            const tag = view.getUint8(pos++);
+            let length = 0;
+            for (let i = 0; i < 4; i++) {
+                const byte = view.getUint8(pos++);
+                length = (length << 7) | (byte & 0x7f);
+                if (!(byte & 0x80)) break;
+            }
+            return { tag, length, start: pos };
+        };
+
+        const es = readDescriptor();
+        if (!es || es.tag !== 0x03) return null;
+        const esFlags = view.getUint8(pos + 2);
+        pos += 3;
+        if (esFlags & 0x80) pos += 2;
+        if (esFlags & 0x40) pos += view.getUint8(pos) + 1;
+        if (esFlags & 0x20) pos += 2;
+
+        const decoderConfig = readDescriptor();
+        if (!decoderConfig || decoderConfig.tag !== 0x04) return null;
+        const objectType = view.getUint8(pos);
+
+        // MP3 in MP4 needs no decoder config
+        if (objectType === 0x69 || objectType === 0x6b) {
+            return { codec: 'mp3', description: null };
+        }
+        if (objectType !== 0x40) return null;
+
+        pos += 13;
+        const specificInfo = readDescriptor();
+        if (!specificInfo || specificInfo.tag !== 0x05) return null;
+
+        const description = new Uint8Array(view.buffer, view.byteOffset + specificInfo.start, specificInfo.length).slice();
+        let audioObjectType = description[0] >> 3;
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + (((description[0] & 0x07) << 3) | (description[1] >> 5));
+        }
+
+        return { codec: `mp4a.40.${audioObjectType}`, description };
+    }
+};
+
+// Export for use in other modules
+window.Mp4Demuxer = Mp4Demuxer;
@@ -16,7 +16,22 @@ const PatternGenerator = {
     },
 
     /**
-     * Built-in pattern library for simple patterns
+     * Feature string for a device type; 'auto' adds a track for each motor the selected toys
+     * (or, with none selected, the connected ones) report
+     */
+    getFeatureString(deviceType) {
+        if (deviceType === 'auto') {
+            const selected = LovenseApi.getSelectedDevices();
+            return ToyCapabilities.getFeatureString(selected.length > 0 ? selected : LovenseApi.devices);
+        }
+        return this.deviceFeatures[deviceType] || 'v';
+    },
+
+    // Shortest Pattern command (ms) getResolution allows
+    minCommandMs: 1000,
+
+    /**
+     * Built-in pattern library for simple patterns (custom ones live in PatternLibrary)
      */
     patternLibrary: {
         wave: 'v:1;v:5;v:10;v:15;v:20;v:15;v:10;v:5',
@@ -31,104 +46,185 @@ const PatternGenerator = {
         steady: 'v:10;v:10;v:10;v:10;v:10;v:10'
     },
 
+    /**
+     * Generation styles: each maps the shared step context to one 0-1 intensity per step
+     * (called with PatternGenerator as `this`)
+     */
+    styles: {
+        /**
+         * Beat pulse: 75% of every beat on at boosted loudness, the rest at break intensity
+         */
+        pulse(ctx) {
+            const intensities = [];
+            for (let step = 0; step < ctx.totalSteps; step++) {
+                intensities.push(this.beatPulse(ctx, step));
+            }
+            return intensities;
+        },
+
+        /**
+         * Envelope follow: smoothed loudness only, ignoring the beat grid
+         */
+        envelope(ctx) {
+            const smoothed = this.smoothSteps(ctx.levels, Math.round(0.25 / ctx.intervalSec));
+            return Array.from(smoothed, level => Math.min(1.0, level));
+        },
+
+        /**
+         * Sawtooth: hit the peak on each beat and ramp down to break intensity by the next one
+         */
+        sawtooth(ctx) {
+            const intensities = [];
+            for (let step = 0; step < ctx.totalSteps; step++) {
+                const pos = ctx.positions[step];
+                if (pos.phase < 0) {
+                    intensities.push(ctx.breakIntensity);
+                    continue;
+                }
+                const peak = this.beatPeak(ctx, step);
+                intensities.push(peak + (ctx.breakIntensity - peak) * Math.min(1, pos.phase));
+            }
+            return intensities;
+        },
+
+        /**
+         * Downbeat accent: full pulse on the first beat of each bar, half-strength pulses between
+         */
+        downbeat(ctx) {
+            const downbeats = this.getDownbeatFlags(ctx.beats, ctx.beatAccents, ctx.analysisResult, ctx.beatOffsetMs);
+            const intensities = [];
+            for (let step = 0; step < ctx.totalSteps; step++) {
+                const pos = ctx.positions[step];
+                const weight = pos.phase >= 0 && downbeats[pos.index] ? 1 : 0.5;
+                intensities.push(Math.max(ctx.breakIntensity, this.beatPulse(ctx, step) * weight));
+            }
+            return intensities;
+        },
+
+        /**
+         * Build and release: beat pulses scaled by the energy trend over the last few seconds,
+         * climbing through builds and dropping back when the energy falls away
+         */
+        buildRelease(ctx) {
+            const slow = this.smoothSteps(ctx.levels, Math.round(2 / ctx.intervalSec));
+            const trendSteps = Math.max(1, Math.round(2 / ctx.intervalSec));
+            const peak = Math.max(1e-6, slow.reduce((max, v) => Math.max(max, v), 0));
+            const intensities = [];
+
+            for (let step = 0; step < ctx.totalSteps; step++) {
+                const trend = (slow[step] - slow[Math.max(0, step - trendSteps)]) / peak;
+                const build = Utils.clamp(slow[step] / peak + 2 * trend, 0, 1);
+                intensities.push(this.beatPulse(ctx, step) * (0.3 + 0.7 * build));
+            }
+            return intensities;
+        }
+    },
+
     /**
      * Generate Lovense patterns from audio analysis result
      */
     generate(analysisResult, settings) {
-        const { duration, bpm, beatInterval, volumeData } = analysisResult;
-        const intervalMs = 100; // Always 100ms for finest resolution
-        const intervalSec = 0.1;
+        const { duration, bpm, beatInterval } = analysisResult;
+        const { intervalMs, adaptive, chunkSize } = this.getResolution(settings);
+        const intervalSec = intervalMs / 1000;
         
         const {
             deviceType = 'generic-vibe',
             minIntensity = 0,
             maxIntensity = 20,
             onBeatBoost = 1.2,
-            breakIntensity = 0.1
+            breakIntensity = 0.1,
+            followBand = 'full',
+            beatOffsetMs = 0,
+            style = 'pulse',
+            sectionDynamics = 'follow',
+            silenceThresholdDb = -45,
+            speechThreshold = 0.6,
+            speechMode = 'floor',
+            smoothing = 0,
+            slewLimit = 0,
+            deadband = 0,
+            minHoldMs = 0
         } = settings;
         
+        // Envelope the beat pulses follow (full mix or a single frequency band)
+        const envelope = this.getEnvelope(analysisResult, followBand);
+        
         // Get feature string for device
-        const featureStr = this.deviceFeatures[deviceType] || 'v';
+        const featureStr = this.getFeatureString(deviceType);
         
-        // Calculate steps per beat
+        // Steps per beat at the median tempo (summary fields only)
         const stepsPerBeat = Math.round(beatInterval / intervalSec);
         const onSteps = Math.max(1, Math.round(stepsPerBeat * 0.75));
         const offSteps = Math.max(1, stepsPerBeat - onSteps);
         
-        // Build beat grid
-        const beats = [];
-        for (let t = 0; t < duration; t += beatInterval) {
-            beats.push(t);
-        }
+        // Follow the detected beats, shifted by the manual phase correction
+        const beats = this.getBeatTimes(analysisResult, beatOffsetMs);
         
-        // Generate all strength values at 100ms intervals
-        const allStrengths = [];
+        // Weight each beat by the strongest detected onset near it (0.5 = neutral)
+        const beatAccents = this.getBeatAccents(beats, analysisResult.onsets, beatInterval * 0.15);
+        
+        // Every style reads the same per-step beat positions and loudness and returns 0-1 intensities
         const totalSteps = Math.ceil(duration / intervalSec);
+        const styleName = this.styles[style] ? style : 'pulse';
+        const styleContext = {
+            analysisResult,
+            beats,
+            beatAccents,
+            positions: this.getBeatPositions(beats, totalSteps, intervalSec, beatInterval),
+            levels: this.sampleEnvelope(envelope, totalSteps, intervalSec),
+            totalSteps,
+            intervalSec,
+            onBeatBoost,
+            breakIntensity,
+            beatOffsetMs
+        };
+        let intensities = this.styles[styleName].call(this, styleContext);
         
-        for (let step = 0; step < totalSteps; step++) {
-            const t = step * intervalSec;
-            
-            // Find which beat we're in
-            let beatIndex = 0;
-            for (let b = 0; b < beats.length; b++) {
-                if (t >= beats[b]) beatIndex = b;
-                else break;
-            }
-            
-            const beatStartTime = beats[beatIndex];
-            const timeIntoBeat = t - beatStartTime;
-            const stepIntoBeat = Math.round(timeIntoBeat / intervalSec);
-            
-            // Determine if we're in "on" zone or "off" zone
-            const isOnBeat = stepIntoBeat < onSteps;
-            
-            // Get volume at this time for intensity scaling
-            const volIdx = volumeData.findIndex(v => v.time >= t);
-            const vol = volIdx >= 0 ? volumeData[Math.max(0, volIdx - 1)]?.normalized || 0.5 : 0.5;
-            
-            let intensity;
-            if (isOnBeat) {
-                const boostedVol = Math.min(1.0, vol * onBeatBoost);
-                intensity = boostedVol;
-            } else {
-                intensity = breakIntensity;
-            }
-            
-            // Map to Lovense range (0-20)
-            const range = maxIntensity - minIntensity;
-            const mappedIntensity = Math.round(minIntensity + intensity * range);
-            allStrengths.push(Utils.clamp(mappedIntensity, minIntensity, maxIntensity));
+        // Escalate into louder sections and relax in breakdowns
+        const sections = analysisResult.sections || [];
+        if (sectionDynamics !== 'off' && sections.length > 1) {
+            intensities = this.applySections(intensities, styleContext, sections, styleName);
         }
         
-        // Split into patterns of max 50 values each (5 seconds at 100ms)
-        // Smart resume will calculate remaining commands from current playhead position
-        const patterns = [];
-        let idx = 0;
+        // Map to Lovense range (0-20)
+        const range = maxIntensity - minIntensity;
+        const allStrengths = intensities.map(intensity =>
+            Utils.clamp(Math.round(minIntensity + intensity * range), minIntensity, maxIntensity)
+        );
         
-        while (idx < allStrengths.length) {
-            const remaining = allStrengths.length - idx;
-            const chunkSize = Math.min(50, remaining);
-            const chunk = allStrengths.slice(idx, idx + chunkSize);
-            
-            const patternStartTime = idx * intervalSec;
-            const patternDuration = Math.round(chunk.length * intervalSec * 1000) / 1000;
-            
-            patterns.push({
-                command: "Pattern",
-                rule: `V:1;F:${featureStr};S:${intervalMs}#`,
-                strength: chunk.join(';'),
-                timeSec: patternDuration,
-                apiVer: 1,
-                _meta: {
-                    startTime: Math.round(patternStartTime * 100) / 100,
-                    endTime: Math.round((patternStartTime + patternDuration) * 100) / 100,
-                    points: chunk.length,
-                    intervalMs: intervalMs
-                }
-            });
-            
-            idx += chunkSize;
-        }
+        // Secondary motors (pump, rotate) get their own track from low-frequency energy
+        const features = featureStr.split(',');
+        const tracks = {};
+        const lowEnvelope = this.getEnvelope(analysisResult, 'low');
+        features.slice(1).forEach(feature => {
+            tracks[feature] = this.buildSecondaryTrack(lowEnvelope, totalSteps, intervalSec, minIntensity, maxIntensity);
+        });
+        const hasTracks = Object.keys(tracks).length > 0;
+        
+        // Silence switches every motor off; dialogue drops to a gentle floor unless treated as music
+        const segments = this.classifySegments(analysisResult, { silenceThresholdDb, speechThreshold });
+        const gateOptions = { intervalSec, speechMode, minIntensity, maxIntensity };
+        this.applySegmentGates(allStrengths, segments, gateOptions);
+        Object.values(tracks).forEach(track => this.applySegmentGates(track, segments, gateOptions));
+        
+        // Output filters soften the on/off pulses and stop 1-level jitter every step
+        const filterOptions = { smoothing, slewLimit, deadband, minHoldSteps: Math.round(minHoldMs / intervalMs) };
+        this.filterStrengths(allStrengths, filterOptions);
+        Object.values(tracks).forEach(track => this.filterStrengths(track, filterOptions));
+        
+        // Filters ramp across segment edges; silence must stay off
+        const silenceOptions = { ...gateOptions, silenceOnly: true };
+        this.applySegmentGates(allStrengths, segments, silenceOptions);
+        Object.values(tracks).forEach(track => this.applySegmentGates(track, segments, silenceOptions));
+        
+        // Split into patterns of up to chunkSize values each (adaptive mode coarsens calm stretches)
+        // Smart resume will calculate remaining commands from current playhead position
+        const patterns = this.chunkStrengths(allStrengths, features[0], intervalMs, {
+            chunkSize,
+            adaptive,
+            tracks: hasTracks ? tracks : null
+        });
         
         return {
             device: deviceType,
@@ -137,20 +233,386 @@ const PatternGenerator = {
             bpm: bpm,
             beatInterval: Math.round(beatInterval * 1000) / 1000,
             intervalMs: intervalMs,
+            adaptiveResolution: adaptive,
+            chunkSize: chunkSize,
             stepsPerBeat: stepsPerBeat,
             beatTiming: `${onSteps} on / ${offSteps} off per beat`,
+            sectionCount: sections.length,
             patternCount: patterns.length,
-            totalPoints: allStrengths.length,
+            totalPoints: patterns.reduce((sum, p) => sum + p._meta.points, 0),
+            features: features,
             settings: {
+                style: styleName,
                 minIntensity,
                 maxIntensity,
                 onBeatBoost,
-                breakIntensity
+                breakIntensity,
+                followBand,
+                beatOffsetMs,
+                sectionDynamics,
+                silenceThresholdDb,
+                speechThreshold,
+                speechMode,
+                smoothing,
+                slewLimit,
+                deadband,
+                minHoldMs,
+                intervalMs: adaptive ? 'adaptive' : intervalMs,
+                chunkSize,
+                onsetDetector: analysisResult.onsetDetector || 'energy',
+                channelMix: analysisResult.channelMix || 'left'
             },
             patterns
         };
     },
 
+    /**
+     * Beat timestamps (seconds) from the analysis, shifted by a phase offset in ms
+     * Older analysis results only carry a global tempo, so fall back to a grid from the first onset
+     */
+    getBeatTimes(analysisResult, offsetMs = 0) {
+        const { duration, beatInterval } = analysisResult;
+        let beats = analysisResult.beats;
+
+        if (!beats?.length) {
+            beats = [];
+            const firstOnset = analysisResult.onsets?.[0];
+            const phase = (typeof firstOnset === 'object' ? firstOnset.time : firstOnset) || 0;
+            for (let t = phase % beatInterval; t < duration; t += beatInterval) {
+                beats.push(t);
+            }
+        }
+
+        const offset = (offsetMs || 0) / 1000;
+        if (offset === 0) return beats;
+        return beats.map(t => t + offset).filter(t => t >= 0 && t < duration);
+    },
+
+    /**
+     * Strength (0-1) of the strongest onset within tolerance of each beat
+     * Beats without a nearby onset, or analysis without onset strengths, stay neutral at 0.5
+     */
+    getBeatAccents(beats, onsets, tolerance) {
+        const accents = new Array(beats.length).fill(0.5);
+        if (!onsets?.length || typeof onsets[0] !== 'object') return accents;
+        
+        let first = 0;
+        beats.forEach((beat, b) => {
+            while (first < onsets.length && onsets[first].time < beat - tolerance) first++;
+            
+            let strongest = -1;
+            for (let i = first; i < onsets.length && onsets[i].time <= beat + tolerance; i++) {
+                strongest = Math.max(strongest, onsets[i].strength);
+            }
+            if (strongest >= 0) accents[b] = strongest;
+        });
+        
+        return accents;
+    },
+
+    /**
+     * Where each step falls in the beat grid: { index, phase, onBeat }
+     * phase runs 0-1 across the local beat (negative before the first beat); the on zone is
+     * 75% of the local beat length, so tempo changes keep the same feel
+     */
+    getBeatPositions(beats, totalSteps, intervalSec, beatInterval) {
+        const positions = [];
+        let beatIndex = 0;
+
+        for (let step = 0; step < totalSteps; step++) {
+            const t = step * intervalSec;
+
+            // Steps only move forward through the beats
+            while (beatIndex < beats.length - 1 && t >= beats[beatIndex + 1]) beatIndex++;
+
+            const beatStartTime = beats[beatIndex];
+            let localInterval = beatInterval;
+            if (beatIndex < beats.length - 1) localInterval = beats[beatIndex + 1] - beatStartTime;
+            else if (beatIndex > 0) localInterval = beatStartTime - beats[beatIndex - 1];
+            const localOnSteps = Math.max(1, Math.round((localInterval / intervalSec) * 0.75));
+            const stepIntoBeat = Math.round((t - beatStartTime) / intervalSec);
+
+            positions.push({
+                index: beatIndex,
+                phase: beats.length ? (t - beatStartTime) / localInterval : -1,
+                onBeat: t >= beatStartTime && stepIntoBeat < localOnSteps
+            });
+        }
+
+        return positions;
+    },
+
+    /**
+     * Envelope value at each step time
+     */
+    sampleEnvelope(envelope, totalSteps, intervalSec) {
+        const levels = new Float32Array(totalSteps);
+        for (let step = 0; step < totalSteps; step++) {
+            const volIdx = Math.ceil((step * intervalSec) / envelope.hopSec - 1e-6);
+            levels[step] = envelope.values[Math.max(0, volIdx - 1)] ?? 0;
+        }
+        return levels;
+    },
+
+    /**
+     * Centered moving average over +/- halfWindow steps
+     */
+    smoothSteps(values, halfWindow) {
+        const prefix = new Float64Array(values.length + 1);
+        for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+
+        const smoothed = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const from = Math.max(0, i - halfWindow);
+            const to = Math.min(values.length - 1, i + halfWindow);
+            smoothed[i] = (prefix[to + 1] - prefix[from]) / (to - from + 1);
+        }
+        return smoothed;
+    },
+
+    /**
+     * Boosted, accent-weighted loudness of the beat a step belongs to
+     */
+    beatPeak(ctx, step) {
+        const accentScale = 0.75 + 0.5 * ctx.beatAccents[ctx.positions[step].index];
+        return Math.min(1.0, ctx.levels[step] * ctx.onBeatBoost * accentScale);
+    },
+
+    /**
+     * Classic on/off beat pulse value for one step
+     */
+    beatPulse(ctx, step) {
+        return ctx.positions[step].onBeat ? this.beatPeak(ctx, step) : ctx.breakIntensity;
+    },
+
+    /**
+     * Scale a style's intensities per section: quieter in 'low' sections, louder in 'high' ones,
+     * ramping up over the last two bars before a louder section
+     * Beat-driven styles also get a section accent: downbeats stand out in 'high' sections and
+     * only downbeats keep full strength in 'low' ones
+     */
+    applySections(intensities, ctx, sections, styleName) {
+        const gains = { low: 0.65, mid: 1, high: 1.15 };
+        const rampSec = 2 * (ctx.analysisResult.beatsPerBar || 4) * (ctx.analysisResult.beatInterval || 0.5);
+        const accentBeats = styleName !== 'envelope' && styleName !== 'downbeat';
+        const downbeats = accentBeats ? this.getDownbeatFlags(ctx.beats, ctx.beatAccents, ctx.analysisResult, ctx.beatOffsetMs) : [];
+        let s = 0;
+
+        return intensities.map((intensity, step) => {
+            const t = step * ctx.intervalSec;
+            while (s < sections.length - 1 && t >= sections[s + 1].start) s++;
+
+            const section = sections[s];
+            let gain = gains[section.level] ?? 1;
+
+            const next = sections[s + 1];
+            const nextGain = next ? gains[next.level] ?? 1 : gain;
+            if (nextGain > gain && next.start - t < rampSec) {
+                gain += (nextGain - gain) * (1 - (next.start - t) / rampSec);
+            }
+
+            const pos = ctx.positions[step];
+            if (accentBeats && pos.onBeat) {
+                if (section.level === 'high' && downbeats[pos.index]) gain *= 1.2;
+                else if (section.level === 'low' && !downbeats[pos.index]) gain *= 0.5;
+            }
+
+            return Math.min(1.0, intensity * gain);
+        });
+    },
+
+    /**
+     * How speech-like a segment is (0-1): voice-band energy, voiced/unvoiced switching
+     * and pauses between syllables, each scaled so typical dialogue lands near 1
+     */
+    getSpeechScore(segment) {
+        const cues = [
+            (segment.midShare - 0.4) / 0.4,
+            segment.zcrVariation / 0.8,
+            segment.lowEnergyRatio / 0.4,
+            segment.flatnessSpread / 0.15
+        ];
+        return cues.reduce((sum, cue) => sum + Utils.clamp(cue, 0, 1), 0) / cues.length;
+    },
+
+    /**
+     * Classify the analysis into runs of 'silence', 'speech' or 'music': [{ start, end, type }]
+     * Thresholds come from the settings, so changing them needs no re-analysis (the worker only
+     * measures the per-segment features)
+     */
+    classifySegments(analysisResult, settings = {}) {
+        const features = analysisResult.segmentFeatures;
+        if (!features?.length) return [];
+
+        const silenceDb = settings.silenceThresholdDb ?? -45;
+        const speechThreshold = settings.speechThreshold ?? 0.6;
+        const types = features.map(segment => {
+            if (segment.rmsDb < silenceDb) return 'silence';
+            return this.getSpeechScore(segment) >= speechThreshold ? 'speech' : 'music';
+        });
+
+        // Majority of three, so a single odd segment doesn't flip the behaviour
+        const smoothed = types.map((type, i) => {
+            const prev = types[i - 1];
+            const next = types[i + 1];
+            return prev && prev === next && prev !== type ? prev : type;
+        });
+
+        const runs = [];
+        smoothed.forEach((type, i) => {
+            const start = features[i].time;
+            const end = features[i + 1]?.time ?? analysisResult.duration;
+            const last = runs[runs.length - 1];
+            if (last?.type === type) last.end = end;
+            else runs.push({ start, end, type });
+        });
+        return runs;
+    },
+
+    /**
+     * Override 0-20 strengths (in place) inside silence and speech segments
+     * silenceOnly leaves speech alone (used after the output filters)
+     */
+    applySegmentGates(strengths, segments, { intervalSec, speechMode, minIntensity, maxIntensity, silenceOnly = false }) {
+        const speechFloor = speechMode === 'off' ? 0 : Math.round(minIntensity + 0.1 * (maxIntensity - minIntensity));
+        let s = 0;
+
+        for (let step = 0; step < strengths.length && segments.length; step++) {
+            const t = step * intervalSec;
+            while (s < segments.length - 1 && t >= segments[s].end) s++;
+
+            const { type } = segments[s];
+            if (type === 'silence') strengths[step] = 0;
+            else if (type === 'speech' && speechMode !== 'music' && !silenceOnly) strengths[step] = speechFloor;
+        }
+        return strengths;
+    },
+
+    /**
+     * Filter 0-20 strengths in place, in order: exponential smoothing (smoothing = share of the
+     * previous value kept each step), slew limit (max levels up or down per step), deadband
+     * (changes of up to that many levels are ignored) and minimum hold (steps before the next change)
+     * A drop to 0 always passes the deadband. Smoothing and slew still ramp into gated silence,
+     * so generate re-applies the silence gate afterwards
+     */
+    filterStrengths(strengths, { smoothing = 0, slewLimit = 0, deadband = 0, minHoldSteps = 0 }) {
+        if (!smoothing && !slewLimit && !deadband && !minHoldSteps) return strengths;
+
+        let smoothed = strengths[0] ?? 0;
+        let slewed = smoothed;
+        let held = Math.round(slewed);
+        let heldFor = 0;
+
+        for (let i = 0; i < strengths.length; i++) {
+            smoothed += (1 - smoothing) * (strengths[i] - smoothed);
+            slewed = slewLimit > 0 ? slewed + Utils.clamp(smoothed - slewed, -slewLimit, slewLimit) : smoothed;
+
+            const value = Math.round(slewed);
+            const change = Math.abs(value - held);
+            heldFor++;
+            if (change > 0 && (change > deadband || value === 0) && heldFor >= minHoldSteps) {
+                held = value;
+                heldFor = 0;
+            }
+            strengths[i] = held;
+        }
+
+        return strengths;
+    },
+
+    /**
+     * Flag the first beat of each bar
+     * Uses the analysis downbeats when present, otherwise assumes 4/4 and picks the
+     * bar phase whose beats carry the strongest accents
+     */
+    getDownbeatFlags(beats, beatAccents, analysisResult, offsetMs = 0) {
+        if (analysisResult.downbeats?.length) {
+            // Beats carry the manual offset, so shift the downbeats the same way before matching
+            const downbeats = analysisResult.downbeats.map(t => t + offsetMs / 1000);
+            const tolerance = (analysisResult.beatInterval || 0.5) * 0.25;
+            let d = 0;
+            return beats.map(beat => {
+                while (d < downbeats.length - 1 && downbeats[d] < beat - tolerance) d++;
+                return Math.abs(downbeats[d] - beat) <= tolerance;
+            });
+        }
+
+        const beatsPerBar = 4;
+        let bestPhase = 0;
+        let bestScore = -1;
+        for (let phase = 0; phase < beatsPerBar; phase++) {
+            let sum = 0;
+            let count = 0;
+            for (let b = phase; b < beats.length; b += beatsPerBar) {
+                sum += beatAccents[b];
+                count++;
+            }
+            const score = count ? sum / count : 0;
+            if (score > bestScore) {
+                bestScore = score;
+                bestPhase = phase;
+            }
+        }
+
+        return beats.map((_, b) => b % beatsPerBar === bestPhase);
+    },
+
+    /**
+     * Get a 0-1 envelope from the analysis result on its native hop
+     * source: 'full' (broadband loudness), a band name, or 'low' (the worker's ~150Hz
+     * low-pass energy; sub-bass + bass for results without it)
+     */
+    getEnvelope(analysisResult, source = 'full') {
+        const { volumeData, bands } = analysisResult;
+        const hopSec = volumeData.length > 1 ? volumeData[1].time - volumeData[0].time : 0.01;
+        
+        if (source === 'low' && volumeData[0]?.low !== undefined) {
+            return { values: volumeData.map(v => v.low), hopSec };
+        }
+        
+        if (bands && source === 'low') {
+            const values = new Float32Array(bands.bass.length);
+            for (let i = 0; i < values.length; i++) {
+                values[i] = Math.max(bands.subBass[i], bands.bass[i]);
+            }
+            return { values, hopSec: bands.hopSec };
+        }
+        
+        if (bands && bands[source]) {
+            return { values: bands[source], hopSec: bands.hopSec };
+        }
+        
+        // Older analysis results (no bands) fall back to broadband loudness
+        return { values: volumeData.map(v => v.normalized), hopSec };
+    },
+
+    /**
+     * Build a slow-moving 0-20 track from an envelope
+     * Averaged over ~0.5s so pump/rotation motors aren't asked to change every step
+     */
+    buildSecondaryTrack(envelope, totalSteps, intervalSec, minIntensity, maxIntensity) {
+        const { values, hopSec } = envelope;
+        const halfWindow = Math.max(1, Math.round(0.25 / hopSec));
+        const range = maxIntensity - minIntensity;
+        const track = [];
+        
+        for (let step = 0; step < totalSteps; step++) {
+            const center = Math.floor((step * intervalSec) / hopSec);
+            const from = Math.max(0, center - halfWindow);
+            const to = Math.min(values.length - 1, center + halfWindow);
+            
+            let sum = 0;
+            for (let i = from; i <= to; i++) {
+                sum += values[i];
+            }
+            const level = to >= from ? sum / (to - from + 1) : 0;
+            
+            track.push(Utils.clamp(Math.round(minIntensity + level * range), minIntensity, maxIntensity));
+        }
+        
+        return track;
+    },
+
     /**
      * Create a sliced pattern for resuming mid-chunk
      * Takes a pattern and a time offset, returns a new pattern with only remaining commands
@@ -165,8 +627,8 @@ const PatternGenerator = {
         const timeIntoPattern = currentTime - startTime;
         if (timeIntoPattern <= 0) return pattern; // Haven't reached this pattern yet
         
-        // Calculate which command index we should start from
-        const skipCommands = Math.floor(timeIntoPattern / intervalSec);
+        // Resume from the step the playhead is in (rounding up would skip ahead by up to half a step)
+        const skipCommands = Math.floor(timeIntoPattern / intervalSec + 1e-6);
         if (skipCommands >= points) return null; // Pattern already finished
         
         // Split the strength values and take remaining
@@ -178,29 +640,205 @@ const PatternGenerator = {
         // Calculate new duration
         const newDuration = Math.round(remainingStrengths.length * intervalSec * 1000) / 1000;
         
+        // Slice secondary feature tracks the same way
+        let tracks = pattern._meta.tracks;
+        if (tracks) {
+            tracks = Object.fromEntries(Object.entries(tracks).map(
+                ([feature, values]) => [feature, values.split(';').slice(skipCommands).join(';')]
+            ));
+        }
+        
         return {
             ...pattern,
             strength: remainingStrengths.join(';'),
             timeSec: newDuration,
             _meta: {
                 ...pattern._meta,
-                startTime: currentTime,
+                startTime: Math.round((startTime + skipCommands * intervalSec) * 1000) / 1000,
                 points: remainingStrengths.length,
+                tracks,
                 isResumeSlice: true
             }
         };
     },
 
     /**
-     * Get pattern for device from library
+     * Resolve the resolution settings: step size (ms), adaptive mode and points per command
+     * Lovense takes at most 50 points per Pattern command; adaptive mode generates at 100ms.
+     * Commands always span at least minCommandMs so fine steps don't mean one request per step
+     */
+    getResolution(settings = {}) {
+        const adaptive = settings.intervalMs === 'adaptive';
+        const intervalMs = adaptive ? 100 : Utils.clamp(parseInt(settings.intervalMs) || 100, 100, 1000);
+        const minPoints = Math.ceil(this.minCommandMs / intervalMs);
+        return {
+            intervalMs,
+            adaptive,
+            chunkSize: Utils.clamp(parseInt(settings.chunkSize) || 50, minPoints, 50)
+        };
+    },
+
+    /**
+     * Split a strength series into Pattern commands of at most chunkSize values each
+     * Optional per-feature tracks are chunked alongside into _meta.tracks
+     * With adaptive set, calm stretches (every value within 1 level of its group's mean, on all
+     * tracks) are sent at 2x, 5x or 10x the step size, so they need fewer points and commands
+     */
+    chunkStrengths(allStrengths, featureStr, intervalMs, options = {}) {
+        const { chunkSize = 50, tracks = null, adaptive = false } = options;
+        const series = [allStrengths, ...Object.values(tracks || {})];
+        const patterns = [];
+        let idx = 0;
+        
+        while (idx < allStrengths.length) {
+            let factor = 1;
+            let size = Math.min(chunkSize, allStrengths.length - idx);
+            
+            if (adaptive) {
+                for (const candidate of [10, 5, 2]) {
+                    let calmPoints = 0;
+                    while (calmPoints < chunkSize && this.isCalmGroup(series, idx + calmPoints * candidate, candidate)) {
+                        calmPoints++;
+                    }
+                    // Only worth switching for at least 5 coarse points
+                    if (calmPoints >= 5) {
+                        factor = candidate;
+                        size = calmPoints;
+                        break;
+                    }
+                }
+            }
+            
+            const stepMs = intervalMs * factor;
+            const stepSec = stepMs / 1000;
+            const downsample = values => {
+                const points = [];
+                for (let i = 0; i < size; i++) {
+                    const group = values.slice(idx + i * factor, idx + (i + 1) * factor);
+                    points.push(Math.round(group.reduce((a, b) => a + b, 0) / group.length));
+                }
+                return points;
+            };
+            const chunk = downsample(allStrengths);
+            
+            const patternStartTime = idx * intervalMs / 1000;
+            const patternDuration = Math.round(chunk.length * stepSec * 1000) / 1000;
+            
+            patterns.push({
+                command: "Pattern",
+                rule: `V:1;F:${featureStr};S:${stepMs}#`,
+                strength: chunk.join(';'),
+                timeSec: patternDuration,
+                apiVer: 1,
+                _meta: {
+                    startTime: Math.round(patternStartTime * 100) / 100,
+                    endTime: Math.round((patternStartTime + patternDuration) * 100) / 100,
+                    points: chunk.length,
+                    intervalMs: stepMs,
+                    ...(tracks && {
+                        tracks: Object.fromEntries(Object.entries(tracks).map(
+                            ([feature, values]) => [feature, downsample(values).join(';')]
+                        ))
+                    })
+                }
+            });
+            
+            idx += size * factor;
+        }
+        
+        return patterns;
+    },
+
+    /**
+     * Whether a full group of `length` steps from `start` stays within 1 level of its mean on every series
+     */
+    isCalmGroup(series, start, length) {
+        if (start + length > series[0].length) return false;
+        
+        return series.every(values => {
+            let sum = 0;
+            for (let i = start; i < start + length; i++) sum += values[i];
+            const mean = sum / length;
+            for (let i = start; i < start + length; i++) {
+                if (Math.abs(values[i] - mean) > 1) return false;
+            }
+            return true;
+        });
+    },
+
+    /**
+     * Flatten generated pattern chunks back into a timeline of { at (ms), value (0-20) }
+     * Pass a feature letter to read that feature's track instead of the primary strength
+     */
+    getStrengthTimeline(lovenseJson, feature = null) {
+        const timeline = [];
+        if (!lovenseJson?.patterns) return timeline;
+
+        let endMs = 0;
+        for (const pattern of lovenseJson.patterns) {
+            if (pattern.command !== 'Pattern' || !pattern.strength) continue;
+
+            const startMs = (pattern._meta?.startTime || 0) * 1000;
+            const intervalMs = pattern._meta?.intervalMs || 100;
+            const source = (feature && pattern._meta?.tracks?.[feature]) || pattern.strength;
+            const strengths = source.split(';').map(s => parseInt(s.trim()) || 0);
+
+            strengths.forEach((value, i) => {
+                timeline.push({ at: startMs + i * intervalMs, value });
+            });
+            endMs = startMs + strengths.length * intervalMs;
+        }
+
+        // Hold the last step until the end of the final chunk
+        if (timeline.length > 0) {
+            timeline.push({ at: endMs, value: timeline[timeline.length - 1].value });
+        }
+
+        return timeline;
+    },
+
+    /**
+     * List the features a generated script drives (primary first, then tracks)
+     */
+    getFeatures(lovenseJson) {
+        if (lovenseJson?.features) return lovenseJson.features;
+        
+        const first = lovenseJson?.patterns?.find(p => p.command === 'Pattern');
+        const featureMatch = first?.rule?.match(/F:([^;#]+)/i);
+        const features = featureMatch ? featureMatch[1].split(',').map(f => f.trim()) : ['v'];
+        return [...features, ...Object.keys(first?._meta?.tracks || {})];
+    },
+
+    /**
+     * Expand a multi-track Pattern command into one command per feature
+     * The primary command keeps its own rule; each track gets F: set to its feature
+     */
+    expandTracks(rawCommand) {
+        const tracks = rawCommand._meta?.tracks;
+        if (!tracks) return [rawCommand];
+        
+        const commands = [rawCommand];
+        for (const [feature, strength] of Object.entries(tracks)) {
+            commands.push({
+                ...rawCommand,
+                rule: rawCommand.rule.replace(/F:[^;#]+/i, `F:${feature}`),
+                strength
+            });
+        }
+        return commands;
+    },
+
+    /**
+     * Get pattern for device from library (built-in or custom)
      */
     getLibraryPattern(patternName, deviceType) {
-        const pattern = this.patternLibrary[patternName];
+        const pattern = PatternLibrary.get(patternName);
         if (!pattern) return null;
         
-        // Convert to oscillation for Gush
-        if (deviceType && deviceType.toLowerCase().includes('gush')) {
-            return pattern.replace(/v:/g, 'o:');
+        // Move onto the device's main motor (oscillation for Gush, thrusting for Solace)
+        const mainFeature = deviceType ? ToyCapabilities.forModel(deviceType)[0] : 'v';
+        if (mainFeature !== 'v') {
+            return pattern.replace(/v:/g, `${mainFeature}:`);
         }
         
         return pattern;
@@ -243,7 +881,7 @@ const PatternGenerator = {
             let displayFunctions = [];
             const featureMatch = pattern.rule?.match(/F:([^;#]+)/i);
             if (featureMatch) {
-                const features = featureMatch[1].split(',');
+                const features = [...featureMatch[1].split(','), ...Object.keys(pattern._meta?.tracks || {})];
                 features.forEach(f => {
                     switch (f.trim().toLowerCase()) {
                         case 'v': displayFunctions.push('Vibrate'); break;
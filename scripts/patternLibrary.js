@@ -0,0 +1,205 @@
+/**
+ * Pattern Library Module
+ * User-editable named step patterns, persisted in localStorage alongside the built-in library
+ */
+
+const PatternLibrary = {
+    storageKey: 'vid2vibes_pattern_library',
+    exportVersion: 1,
+    maxSteps: 100,
+    // Step length used when previewing a library pattern as a Lovense Pattern command
+    previewIntervalMs: 200,
+    custom: {},
+
+    /**
+     * Load custom patterns from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.custom = {};
+            Object.entries(stored).forEach(([name, steps]) => {
+                if (!this.validate(name, steps)) this.custom[name] = steps;
+            });
+        } catch (err) {
+            console.error('Failed to load pattern library:', err);
+            this.custom = {};
+        }
+        return this.custom;
+    },
+
+    /**
+     * Persist custom patterns to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+            return true;
+        } catch (err) {
+            console.error('Failed to save pattern library:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Whether a name belongs to the built-in library (read-only)
+     */
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(PatternGenerator.patternLibrary, name);
+    },
+
+    /**
+     * Whether a pattern name is known (built-in or custom)
+     */
+    has(name) {
+        return this.isBuiltIn(name) || Object.prototype.hasOwnProperty.call(this.custom, name);
+    },
+
+    /**
+     * Pattern string ('v:1;v:5;...') for a name, or null
+     */
+    get(name) {
+        if (this.isBuiltIn(name)) return PatternGenerator.patternLibrary[name];
+        const steps = this.custom[name];
+        return steps ? this.fromSteps(steps) : null;
+    },
+
+    /**
+     * All patterns as [{ name, steps, builtIn }], built-ins first
+     */
+    list() {
+        const builtIns = Object.keys(PatternGenerator.patternLibrary).map(name => ({
+            name,
+            steps: this.toSteps(PatternGenerator.patternLibrary[name]),
+            builtIn: true
+        }));
+        const custom = Object.keys(this.custom).sort().map(name => ({
+            name,
+            steps: this.custom[name].slice(),
+            builtIn: false
+        }));
+        return [...builtIns, ...custom];
+    },
+
+    /**
+     * Strength steps (0-20) of a pattern string
+     */
+    toSteps(pattern) {
+        return pattern.split(';').map(part => parseInt(part.split(':')[1]) || 0);
+    },
+
+    /**
+     * Pattern string from strength steps
+     */
+    fromSteps(steps) {
+        return steps.map(s => `v:${s}`).join(';');
+    },
+
+    /**
+     * Parse user input like "0, 5, 10 20" into steps (null if anything isn't a number)
+     */
+    parseSteps(text) {
+        const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+        const steps = parts.map(Number);
+        return steps.every(Number.isFinite) ? steps.map(Math.round) : null;
+    },
+
+    /**
+     * Validation message for a custom pattern, or null when it is valid
+     * Names are used in simple scripts and name_duration filenames, so no underscores
+     */
+    validate(name, steps, originalName = null) {
+        if (!/^[a-z0-9-]{1,32}$/.test(name || '')) {
+            return 'Names use lowercase letters, digits and dashes (max 32)';
+        }
+        if (name.startsWith('custom-')) return 'Names cannot start with "custom-"';
+        if (this.isBuiltIn(name)) return `"${name}" is a built-in pattern`;
+        if (name !== originalName && Object.prototype.hasOwnProperty.call(this.custom, name)) {
+            return `A pattern named "${name}" already exists`;
+        }
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > this.maxSteps) {
+            return `Patterns need 1-${this.maxSteps} steps`;
+        }
+        if (!steps.every(s => Number.isInteger(s) && s >= 0 && s <= 20)) {
+            return 'Steps must be whole numbers from 0 to 20';
+        }
+        return null;
+    },
+
+    /**
+     * Create or update a custom pattern; passing originalName renames it
+     * Returns null on success, otherwise the validation message
+     */
+    save(name, steps, originalName = null) {
+        const error = this.validate(name, steps, originalName);
+        if (error) return error;
+
+        if (originalName && originalName !== name) delete this.custom[originalName];
+        this.custom[name] = steps.slice();
+        return this.persist() ? null : 'Could not save the pattern library';
+    },
+
+    /**
+     * Delete a custom pattern
+     */
+    remove(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.custom, name)) return false;
+        delete this.custom[name];
+        return this.persist();
+    },
+
+    /**
+     * Lovense Pattern command that plays a library pattern on a device for a number of seconds
+     */
+    toCommand(name, deviceType, timeSec) {
+        const pattern = PatternGenerator.getLibraryPattern(name, deviceType);
+        if (!pattern) return null;
+
+        const feature = pattern.split(':')[0];
+        return {
+            command: 'Pattern',
+            rule: `V:1;F:${feature};S:${this.previewIntervalMs}#`,
+            strength: this.toSteps(pattern).join(';'),
+            timeSec,
+            apiVer: 1
+        };
+    },
+
+    /**
+     * Export custom patterns as a JSON-serializable object
+     */
+    exportJson() {
+        return {
+            version: this.exportVersion,
+            source: 'vid2vibes',
+            patterns: { ...this.custom }
+        };
+    },
+
+    /**
+     * Merge patterns from an exported library; invalid entries and built-in names are skipped
+     * Returns { imported, skipped }
+     */
+    importJson(data) {
+        const patterns = data?.patterns;
+        if (!patterns || typeof patterns !== 'object') return { imported: 0, skipped: 0 };
+
+        let imported = 0;
+        let skipped = 0;
+        Object.entries(patterns).forEach(([name, steps]) => {
+            // Re-importing an existing name overwrites it
+            if (this.validate(name, steps, name)) {
+                skipped++;
+                return;
+            }
+            this.custom[name] = steps.slice();
+            imported++;
+        });
+
+        if (imported > 0) this.persist();
+        return { imported, skipped };
+    }
+};
+
+// Export for use in other modules
+window.PatternLibrary = PatternLibrary;
@@ -652,11 +652,11 @@ const Player = {
         // For simple patterns, send immediately
         if (item.script.type === 'simple') {
             const pattern = item.script.patternName 
-                ? PatternGenerator.getLibraryPattern(item.script.patternName, LovenseApi.getActiveDevice()?.deviceType)
+                ? PatternGenerator.getLibraryPattern(item.script.patternName)
                 : item.script.pattern;
             
-            if (pattern && LovenseApi.isConnected) {
-                LovenseApi.sendPattern(LovenseApi.activeDeviceId, pattern, item.script.duration);
+            if (pattern && LovenseApi.hasSelection()) {
+                DeviceRouter.send(item, pattern, item.script.duration);
                 this.activePattern = { pattern, duration: item.script.duration };
                 
                 if (this.onPatternChange) {
@@ -672,6 +672,21 @@ const Player = {
         }
     },
     
+    /**
+     * Pick up where the video is after LovenseApi reconnected or a toy came back online
+     */
+    resumeAfterReconnect() {
+        if (!this.isPlaying) {
+            // A pause during the outage couldn't reach the toys
+            LovenseApi.stopAll();
+            return;
+        }
+        
+        this.currentTime = this.videoElement?.currentTime ?? this.currentTime;
+        this.lastPatternTime = -1;
+        this.startPatternPlayback();
+    },
+    
     /**
      * Send the appropriate pattern for current video time (with smart slicing for resume)
      */
@@ -695,13 +710,8 @@ const Player = {
                 this.currentTime
             );
             
-            if (slicedPattern && LovenseApi.isConnected && LovenseApi.activeDeviceId) {
-                LovenseApi.sendPattern(
-                    LovenseApi.activeDeviceId,
-                    currentPattern.pattern,
-                    slicedPattern.timeSec,
-                    slicedPattern
-                );
+            if (slicedPattern && LovenseApi.hasSelection()) {
+                this.sendRawCommand(currentPattern.pattern, slicedPattern.timeSec, slicedPattern);
                 
                 this.activePattern = { ...currentPattern, sliced: true };
                 this.lastPatternTime = currentPattern.time;
@@ -743,8 +753,9 @@ const Player = {
         const patternEndTime = currentPattern.rawCommand?._meta?.endTime ?? 
             (patternStartTime + (currentPattern.duration || currentPattern.rawCommand?.timeSec || 1));
         
-        // Pre-send threshold: send next pattern 200ms before current ends
-        const PRE_SEND_MS = 0.2;
+        // Pre-send the next pattern up to 200ms before the current one ends, but never more than one step early
+        const stepSec = (currentPattern.rawCommand?._meta?.intervalMs || 100) / 1000;
+        const PRE_SEND_MS = Math.min(0.2, stepSec);
         const timeUntilEnd = patternEndTime - this.currentTime;
         const nextPatternIndex = currentPatternIndex + 1;
         
@@ -776,10 +787,8 @@ const Player = {
         let rawCommand = null;
         
         if (pattern.patternName) {
-            patternToSend = PatternGenerator.getLibraryPattern(
-                pattern.patternName, 
-                LovenseApi.getActiveDevice()?.deviceType
-            );
+            // Each toy gets the pattern on its own motor when it is sent
+            patternToSend = PatternGenerator.getLibraryPattern(pattern.patternName);
         } else if (pattern.rawCommand) {
             patternToSend = pattern.pattern;
             rawCommand = pattern.rawCommand;
@@ -792,26 +801,28 @@ const Player = {
             pattern: patternToSend 
         };
         
-        if (LovenseApi.isConnected && LovenseApi.activeDeviceId) {
-            LovenseApi.sendPattern(
-                LovenseApi.activeDeviceId, 
-                patternToSend, 
-                pattern.duration || rawCommand?.timeSec || 1, 
-                rawCommand
-            );
+        if (LovenseApi.hasSelection()) {
+            this.sendRawCommand(patternToSend, pattern.duration || rawCommand?.timeSec || 1, rawCommand);
         }
         
         if (this.onPatternChange) {
             this.onPatternChange(this.activePattern);
         }
     },
+    
+    /**
+     * Send a pattern to every selected device through its route, one command per feature track
+     */
+    sendRawCommand(pattern, duration, rawCommand) {
+        DeviceRouter.send(this.getCurrentItem(), pattern, duration, rawCommand);
+    },
 
     /**
-     * Stop device
+     * Stop all devices
      */
     stopDevice() {
-        if (LovenseApi.isConnected && LovenseApi.activeDeviceId) {
-            LovenseApi.stopDevice(LovenseApi.activeDeviceId);
+        if (LovenseApi.isConnected) {
+            LovenseApi.stopAll();
         }
         this.activePattern = null;
         this.lastPatternTime = -1;
@@ -0,0 +1,266 @@
+/**
+ * Settings Presets Module
+ * Named conversion settings (built-in and user-saved), persisted in localStorage
+ */
+
+const SettingsPresets = {
+    storageKey: 'vid2vibes_settings_presets',
+    exportVersion: 1,
+    custom: {},
+
+    // Form defaults; presets only list what they change. Device type stays a global choice
+    defaults: {
+        style: 'pulse',
+        minIntensity: 0,
+        maxIntensity: 20,
+        onBeatBoost: 1.2,
+        breakIntensity: 0.1,
+        followBand: 'full',
+        sectionDynamics: 'follow',
+        silenceThresholdDb: -45,
+        speechThreshold: 0.6,
+        speechMode: 'floor',
+        smoothing: 0,
+        slewLimit: 0,
+        deadband: 0,
+        minHoldMs: 0,
+        intervalMs: 100,
+        chunkSize: 50,
+        onsetDetector: 'energy',
+        channelMix: 'mid',
+        beatOffsetMs: 0,
+        funscriptMapping: 'position'
+    },
+
+    // What each setting may hold, matching its form control: a list of choices, or a number range
+    limits: {
+        style: { choices: ['pulse', 'envelope', 'sawtooth', 'downbeat', 'buildRelease'] },
+        minIntensity: { min: 0, max: 20, integer: true },
+        maxIntensity: { min: 0, max: 20, integer: true },
+        onBeatBoost: { min: 1, max: 1.6 },
+        breakIntensity: { min: 0, max: 0.3 },
+        followBand: { choices: ['full', 'subBass', 'bass', 'mids', 'highs'] },
+        sectionDynamics: { choices: ['follow', 'off'] },
+        silenceThresholdDb: { min: -80, max: -20, integer: true },
+        speechThreshold: { min: 0, max: 1 },
+        speechMode: { choices: ['floor', 'off', 'music'] },
+        smoothing: { min: 0, max: 0.7 },
+        slewLimit: { min: 0, max: 20, integer: true },
+        deadband: { min: 0, max: 5, integer: true },
+        minHoldMs: { min: 0, max: 2000, integer: true },
+        intervalMs: { min: 100, max: 1000, integer: true, choices: ['adaptive'] },
+        chunkSize: { min: 10, max: 50, integer: true },
+        onsetDetector: { choices: ['energy', 'flux'] },
+        channelMix: { choices: ['mid', 'left', 'right', 'side', 'max'] },
+        beatOffsetMs: { min: -500, max: 500, integer: true },
+        funscriptMapping: { choices: ['position', 'speed'] }
+    },
+
+    builtIn: {
+        'Default': {},
+        'Music video': {
+            followBand: 'subBass',
+            onBeatBoost: 1.4,
+            speechMode: 'music',
+            onsetDetector: 'flux'
+        },
+        'ASMR': {
+            style: 'envelope',
+            maxIntensity: 14,
+            onBeatBoost: 1.0,
+            breakIntensity: 0.2,
+            sectionDynamics: 'off',
+            silenceThresholdDb: -60,
+            speechMode: 'music',
+            smoothing: 0.5,
+            slewLimit: 3,
+            minHoldMs: 300,
+            intervalMs: 200,
+            onsetDetector: 'flux'
+        },
+        'Movie': {
+            style: 'envelope',
+            onBeatBoost: 1.0,
+            followBand: 'bass',
+            sectionDynamics: 'off',
+            speechMode: 'off',
+            smoothing: 0.3,
+            slewLimit: 4,
+            deadband: 1,
+            minHoldMs: 200,
+            intervalMs: 'adaptive',
+            onsetDetector: 'flux',
+            channelMix: 'side'
+        }
+    },
+
+    /**
+     * Load custom presets from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.custom = {};
+            Object.entries(stored).forEach(([name, settings]) => {
+                if (!this.validate(name, settings)) this.custom[name] = this.pick(settings);
+            });
+        } catch (err) {
+            console.error('Failed to load settings presets:', err);
+            this.custom = {};
+        }
+        return this.custom;
+    },
+
+    /**
+     * Persist custom presets to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+            return true;
+        } catch (err) {
+            console.error('Failed to save settings presets:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Keep only the settings a preset can carry (drops deviceType, unknown keys and unusable values)
+     */
+    pick(settings) {
+        const picked = {};
+        Object.keys(this.defaults).forEach(key => {
+            const value = this.coerce(key, settings?.[key]);
+            if (value !== undefined) picked[key] = value;
+        });
+        return picked;
+    },
+
+    /**
+     * A setting value as its form control would give it: one of its choices, or a number
+     * (numeric strings included) clamped to its range. undefined when the value can't be used
+     */
+    coerce(key, value) {
+        const limit = this.limits[key];
+        if (!limit || value === undefined || value === null) return undefined;
+        if (limit.choices?.includes(value)) return value;
+        if (limit.min === undefined) return undefined;
+        
+        const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+            ? Number(value)
+            : NaN;
+        if (!Number.isFinite(number)) return undefined;
+        
+        const clamped = Utils.clamp(number, limit.min, limit.max);
+        return limit.integer ? Math.round(clamped) : clamped;
+    },
+
+    /**
+     * Whether a name belongs to a built-in preset (read-only)
+     */
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(this.builtIn, name);
+    },
+
+    /**
+     * Full settings for a preset (defaults filled in), or null
+     */
+    get(name) {
+        const preset = this.isBuiltIn(name) ? this.builtIn[name] : this.custom[name];
+        return preset ? { ...this.defaults, ...preset } : null;
+    },
+
+    /**
+     * All preset names as [{ name, builtIn }], built-ins first
+     */
+    list() {
+        return [
+            ...Object.keys(this.builtIn).map(name => ({ name, builtIn: true })),
+            ...Object.keys(this.custom).sort().map(name => ({ name, builtIn: false }))
+        ];
+    },
+
+    /**
+     * Name of the preset whose settings match exactly, or null
+     */
+    findMatch(settings) {
+        const picked = { ...this.defaults, ...this.pick(settings) };
+        const match = this.list().find(({ name }) => {
+            const preset = this.get(name);
+            return Object.keys(this.defaults).every(key => String(preset[key]) === String(picked[key]));
+        });
+        return match?.name || null;
+    },
+
+    /**
+     * Validation message for a custom preset, or null when it is valid
+     */
+    validate(name, settings) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 40) {
+            return 'Preset names need 1-40 characters';
+        }
+        if (this.isBuiltIn(name)) return `"${name}" is a built-in preset`;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return 'Preset settings must be an object';
+        }
+        return null;
+    },
+
+    /**
+     * Create or overwrite a custom preset from a settings object
+     * Returns null on success, otherwise the validation message
+     */
+    save(name, settings) {
+        const error = this.validate(name, settings);
+        if (error) return error;
+
+        this.custom[name] = this.pick(settings);
+        return this.persist() ? null : 'Could not save the presets';
+    },
+
+    /**
+     * Delete a custom preset
+     */
+    remove(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.custom, name)) return false;
+        delete this.custom[name];
+        return this.persist();
+    },
+
+    /**
+     * Export custom presets as a JSON-serializable object
+     */
+    exportJson() {
+        return {
+            version: this.exportVersion,
+            source: 'vid2vibes',
+            presets: { ...this.custom }
+        };
+    },
+
+    /**
+     * Merge presets from an exported file; invalid entries and built-in names are skipped
+     * Returns { imported, skipped }
+     */
+    importJson(data) {
+        const presets = data?.presets;
+        if (!presets || typeof presets !== 'object') return { imported: 0, skipped: 0 };
+
+        let imported = 0;
+        let skipped = 0;
+        Object.entries(presets).forEach(([name, settings]) => {
+            if (this.validate(name, settings)) {
+                skipped++;
+                return;
+            }
+            this.custom[name] = this.pick(settings);
+            imported++;
+        });
+
+        if (imported > 0) this.persist();
+        return { imported, skipped };
+    }
+};
+
+// Export for use in other modules
+window.SettingsPresets = SettingsPresets;
@@ -0,0 +1,122 @@
+/**
+ * Toy Capabilities Module
+ * Works out what each connected toy can do from its GetToys entry
+ */
+
+const ToyCapabilities = {
+    /**
+     * Lovense function names by the feature letter used in Pattern rules
+     */
+    actions: {
+        v: 'Vibrate',
+        r: 'Rotate',
+        p: 'Pump',
+        t: 'Thrusting',
+        f: 'Fingering',
+        s: 'Suction',
+        o: 'Oscillate',
+        d: 'Depth'
+    },
+
+    /**
+     * Features by model name, main motor first; used when Connect doesn't report a toy's functions
+     */
+    models: {
+        nora: 'v,r',
+        ridge: 'v,r',
+        max: 'v,p',
+        gush: 'o',
+        solace: 't,d',
+        gravity: 'v,t',
+        flexer: 'v,f',
+        tenera: 's',
+        lush: 'v',
+        hush: 'v',
+        edge: 'v',
+        domi: 'v',
+        ambi: 'v',
+        osci: 'v',
+        dolce: 'v',
+        ferri: 'v',
+        diamo: 'v',
+        hyphy: 'v',
+        calor: 'v',
+        lapis: 'v',
+        exomoon: 'v'
+    },
+
+    /**
+     * Feature letters for a model or device type name ("max", "Max 2", "gush2"); unknown toys vibrate
+     */
+    forModel(name) {
+        const lower = (name || '').toLowerCase();
+        const model = Object.keys(this.models).find(key => lower.includes(key));
+        return (model ? this.models[model] : 'v').split(',');
+    },
+
+    /**
+     * Feature letters from reported function names: short ("v", "v1", "r") or full ("Vibrate", "Rotate"),
+     * as an array or a comma-separated string
+     */
+    parseFunctions(value) {
+        const names = Array.isArray(value) ? value : String(value || '').split(',');
+        const letters = names.map(name => {
+            const lower = String(name).trim().toLowerCase();
+            return Object.keys(this.actions).find(letter =>
+                lower === letter ||
+                new RegExp(`^${letter}\\d+$`).test(lower) ||
+                lower.startsWith(this.actions[letter].toLowerCase())
+            );
+        });
+        return Array.from(new Set(letters.filter(Boolean)));
+    },
+
+    /**
+     * Capabilities of one GetToys entry: { model, firmware, hardware, features, actions, source }
+     * source is 'reported' when the toy listed its functions, otherwise 'model'
+     */
+    fromToy(toy) {
+        const model = String(toy?.name || toy?.toyType || '').toLowerCase();
+        const reported = this.parseFunctions(toy?.shortFunctionNames || toy?.fullFunctionNames || toy?.functions);
+
+        // Keep the model's main motor first whatever order the functions are listed in
+        const main = this.forModel(model)[0];
+        const features = reported.includes(main) ? [main, ...reported.filter(f => f !== main)] : reported;
+        const resolved = features.length > 0 ? features : this.forModel(model);
+
+        return {
+            model,
+            firmware: toy?.fVersion ?? toy?.version ?? null,
+            hardware: toy?.hVersion ?? null,
+            features: resolved,
+            actions: resolved.map(f => this.actions[f]),
+            source: features.length > 0 ? 'reported' : 'model'
+        };
+    },
+
+    /**
+     * Generator feature string for a set of toys: vibration first (a toy without it plays the main
+     * track on its own main motor), then each secondary motor one of them has; 'v' with no toys
+     */
+    getFeatureString(devices) {
+        const features = ['v'];
+        devices.forEach(device => {
+            (device.capabilities?.features || this.forModel(device.deviceType)).slice(1).forEach(f => {
+                if (!features.includes(f)) features.push(f);
+            });
+        });
+        return features.join(',');
+    },
+
+    /**
+     * One-line summary for tooltips ("Vibrate, Pump · firmware 3")
+     */
+    describe(capabilities) {
+        if (!capabilities) return '';
+        const firmware = capabilities.firmware != null ? ` · firmware ${capabilities.firmware}` : '';
+        return `${capabilities.actions.join(', ')}${firmware}`;
+    }
+};
+
+// Export for use in other modules
+window.ToyCapabilities = ToyCapabilities;
@@ -10,8 +10,10 @@ const UI = {
     // Current view
     currentView: 'convert', // 'convert' or 'play'
     
-    // Network log for privacy monitor
+    // Network log for privacy monitor (a network scan logs every probe)
     networkLog: [],
+    networkLogLimit: 500,
+    networkLogFrame: null,
     privacyExpanded: false,
 
     /**
@@ -46,6 +48,8 @@ const UI = {
             sidebarProgressText: document.getElementById('sidebarProgressText'),
             sidebarProgressCount: document.getElementById('sidebarProgressCount'),
             sidebarProgressFill: document.getElementById('sidebarProgressFill'),
+            pauseProcessingBtn: document.getElementById('pauseProcessingBtn'),
+            cancelProcessingBtn: document.getElementById('cancelProcessingBtn'),
             
             // Settings panel
             analysisPanel: document.getElementById('analysisPanel'),
@@ -54,6 +58,22 @@ const UI = {
             maxIntensity: document.getElementById('maxIntensity'),
             onBeatBoost: document.getElementById('onBeatBoost'),
             breakIntensity: document.getElementById('breakIntensity'),
+            followBand: document.getElementById('followBand'),
+            beatOffsetMs: document.getElementById('beatOffsetMs'),
+            patternStyle: document.getElementById('patternStyle'),
+            sectionDynamics: document.getElementById('sectionDynamics'),
+            silenceThresholdDb: document.getElementById('silenceThresholdDb'),
+            speechThreshold: document.getElementById('speechThreshold'),
+            speechMode: document.getElementById('speechMode'),
+            smoothing: document.getElementById('smoothing'),
+            slewLimit: document.getElementById('slewLimit'),
+            deadband: document.getElementById('deadband'),
+            minHoldMs: document.getElementById('minHoldMs'),
+            intervalMs: document.getElementById('intervalMs'),
+            chunkSize: document.getElementById('chunkSize'),
+            channelMix: document.getElementById('channelMix'),
+            onsetDetector: document.getElementById('onsetDetector'),
+            funscriptMapping: document.getElementById('funscriptMapping'),
             
             // Buttons
             convertBtn: document.getElementById('convertBtn'),
@@ -70,7 +90,8 @@ const UI = {
             
             // Stats
             statDuration: document.getElementById('statDuration'),
-            statAvgBpm: document.getElementById('statAvgBpm'),
+            statTempo: document.getElementById('statTempo'),
+            tempoCurveCanvas: document.getElementById('tempoCurveCanvas'),
             statPoints: document.getElementById('statPoints'),
             statPatterns: document.getElementById('statPatterns'),
             
@@ -108,10 +129,15 @@ const UI = {
             deviceBarDot: document.getElementById('deviceBarDot'),
             deviceBarText: document.getElementById('deviceBarText'),
             manualIPInput: document.getElementById('manualIPInput'),
+            scanRangesInput: document.getElementById('scanRangesInput'),
             connectBtn: document.getElementById('connectBtn'),
             reconnectBtn: document.getElementById('reconnectBtn'),
             disconnectBtn: document.getElementById('disconnectBtn'),
-            deviceSelect: document.getElementById('deviceSelect'),
+            deviceList: document.getElementById('deviceList'),
+            routingBtn: document.getElementById('routingBtn'),
+            routingModal: document.getElementById('routingModal'),
+            routingClose: document.getElementById('routingClose'),
+            routingList: document.getElementById('routingList'),
             
             // Privacy
             privacyMonitor: document.getElementById('privacyMonitor'),
@@ -139,7 +165,40 @@ const UI = {
             infoBtn: document.getElementById('infoBtn'),
             infoModal: document.getElementById('infoModal'),
             infoContent: document.getElementById('infoContent'),
-            infoClose: document.getElementById('infoClose')
+            infoClose: document.getElementById('infoClose'),
+            
+            // Analysis cache
+            cacheBtn: document.getElementById('cacheBtn'),
+            cacheModal: document.getElementById('cacheModal'),
+            cacheClose: document.getElementById('cacheClose'),
+            cacheSummary: document.getElementById('cacheSummary'),
+            cacheList: document.getElementById('cacheList'),
+            cacheClearBtn: document.getElementById('cacheClearBtn'),
+            
+            // Pattern library
+            libraryBtn: document.getElementById('libraryBtn'),
+            libraryModal: document.getElementById('libraryModal'),
+            libraryClose: document.getElementById('libraryClose'),
+            libraryList: document.getElementById('libraryList'),
+            libraryName: document.getElementById('libraryName'),
+            librarySteps: document.getElementById('librarySteps'),
+            librarySaveBtn: document.getElementById('librarySaveBtn'),
+            libraryNewBtn: document.getElementById('libraryNewBtn'),
+            libraryImportBtn: document.getElementById('libraryImportBtn'),
+            libraryImportInput: document.getElementById('libraryImportInput'),
+            libraryExportBtn: document.getElementById('libraryExportBtn'),
+            
+            // Settings presets
+            settingsPreset: document.getElementById('settingsPreset'),
+            presetName: document.getElementById('presetName'),
+            presetSaveBtn: document.getElementById('presetSaveBtn'),
+            presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+            presetImportBtn: document.getElementById('presetImportBtn'),
+            presetImportInput: document.getElementById('presetImportInput'),
+            presetExportBtn: document.getElementById('presetExportBtn'),
+            fileSettingsNote: document.getElementById('fileSettingsNote'),
+            presetApplyFileBtn: document.getElementById('presetApplyFileBtn'),
+            presetClearFileBtn: document.getElementById('presetClearFileBtn')
         };
         
         this.bindEvents();
@@ -179,9 +238,42 @@ const UI = {
             }
         });
         
+        // Analysis cache modal (opened by App, which loads the entries)
+        this.elements.cacheClose?.addEventListener('click', () => this.closeCache());
+        this.elements.cacheModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.cacheModal) {
+                this.closeCache();
+            }
+        });
+        
+        // Pattern library modal (opened by App)
+        this.elements.libraryClose?.addEventListener('click', () => this.closeLibrary());
+        this.elements.libraryModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.libraryModal) {
+                this.closeLibrary();
+            }
+        });
+        
+        // Device routing modal (opened by App)
+        this.elements.routingClose?.addEventListener('click', () => this.closeRouting());
+        this.elements.routingModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.routingModal) {
+                this.closeRouting();
+            }
+        });
+        
         // Close modals on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
+                if (this.elements.routingModal?.classList.contains('visible')) {
+                    this.closeRouting();
+                }
+                if (this.elements.cacheModal?.classList.contains('visible')) {
+                    this.closeCache();
+                }
+                if (this.elements.libraryModal?.classList.contains('visible')) {
+                    this.closeLibrary();
+                }
                 if (this.elements.changelogModal?.classList.contains('visible')) {
                     this.closeChangelog();
                 }
@@ -262,7 +354,7 @@ const UI = {
             
             const statusLabel = {
                 'complete': 'Done',
-                'processing': 'Processing',
+                'processing': f.progress > 0 ? `Processing ${Math.round(f.progress * 100)}%` : 'Processing',
                 'error': 'Error',
                 'playing': 'Playing',
                 'pending': 'Pending'
@@ -281,6 +373,7 @@ const UI = {
                             <span>${Utils.formatFileSize(f.file.size)}</span>
                             ${durationStr ? `<span class="file-card-duration">${durationStr}</span>` : ''}
                             <span>${statusLabel}</span>
+                            ${f.settings ? '<span class="file-card-preset"></span>' : ''}
                         </div>
                     </div>
                 </div>
@@ -291,6 +384,10 @@ const UI = {
                 </button>
             `;
             
+            // Preset names are user text, so set them as text rather than markup
+            const presetLabel = card.querySelector('.file-card-preset');
+            if (presetLabel) presetLabel.textContent = f.presetName || 'Own settings';
+            
             card.addEventListener('click', (e) => {
                 if (!e.target.closest('.file-card-remove')) {
                     // In play view, handle queue selection
@@ -360,8 +457,9 @@ const UI = {
 
     /**
      * Update progress display
+     * fileProgress: summed 0-1 progress of the files in flight, eta: seconds remaining (optional)
      */
-    updateProgress(completed, total, text) {
+    updateProgress(completed, total, text, fileProgress = 0, eta = null) {
         if (this.elements.sidebarProgress) {
             this.elements.sidebarProgress.classList.add('visible');
         }
@@ -369,10 +467,12 @@ const UI = {
             this.elements.sidebarProgressText.textContent = text;
         }
         if (this.elements.sidebarProgressCount) {
-            this.elements.sidebarProgressCount.textContent = `${completed}/${total}`;
+            const etaText = eta > 0 && completed < total ? ` · ~${Utils.formatTime(eta)} left` : '';
+            this.elements.sidebarProgressCount.textContent = `${completed}/${total}${etaText}`;
         }
         if (this.elements.sidebarProgressFill) {
-            this.elements.sidebarProgressFill.style.width = `${(completed / total) * 100}%`;
+            const fraction = Math.min(1, (completed + (fileProgress || 0)) / total);
+            this.elements.sidebarProgressFill.style.width = `${fraction * 100}%`;
         }
     },
 
@@ -381,6 +481,16 @@ const UI = {
      */
     hideProgress() {
         this.elements.sidebarProgress?.classList.remove('visible');
+        this.setProcessingPaused(false);
+    },
+
+    /**
+     * Toggle the pause button label between Pause and Resume
+     */
+    setProcessingPaused(paused) {
+        if (this.elements.pauseProcessingBtn) {
+            this.elements.pauseProcessingBtn.textContent = paused ? 'Resume' : 'Pause';
+        }
     },
 
     /**
@@ -394,8 +504,8 @@ const UI = {
         if (this.elements.statDuration) {
             this.elements.statDuration.textContent = Utils.formatTime(result.duration);
         }
-        if (this.elements.statAvgBpm) {
-            this.elements.statAvgBpm.textContent = result.bpm;
+        if (this.elements.statTempo) {
+            this.elements.statTempo.textContent = this.formatTempoRange(result);
         }
         if (this.elements.statPoints) {
             this.elements.statPoints.textContent = result.lovenseJson?.totalPoints || '--';
@@ -410,6 +520,11 @@ const UI = {
                 Visualizer.drawConverterWaveform(this.elements.waveformCanvas, result);
             });
         }
+        if (this.elements.tempoCurveCanvas) {
+            requestAnimationFrame(() => {
+                Visualizer.drawTempoCurve(this.elements.tempoCurveCanvas, result.tempoCurve || [], result.duration);
+            });
+        }
         
         // Show JSON
         if (this.elements.jsonOutput && result.lovenseJson) {
@@ -417,6 +532,24 @@ const UI = {
         }
     },
 
+    /**
+     * Tempo summary for the stats row: a single BPM, or the min-max range when the tempo drifts
+     */
+    formatTempoRange(result) {
+        const curve = result.tempoCurve || [];
+        if (curve.length === 0) return result.bpm ?? '--';
+
+        let min = Infinity;
+        let max = -Infinity;
+        curve.forEach(p => {
+            min = Math.min(min, p.bpm);
+            max = Math.max(max, p.bpm);
+        });
+        min = Math.round(min);
+        max = Math.round(max);
+        return min === max ? `${min}` : `${min}–${max}`;
+    },
+
     /**
      * Hide results section
      */
@@ -490,42 +623,36 @@ const UI = {
         const connectBtn = this.elements.connectBtn;
         const reconnectBtn = this.elements.reconnectBtn;
         const disconnectBtn = this.elements.disconnectBtn;
-        const deviceSelect = this.elements.deviceSelect;
+        const deviceList = this.elements.deviceList;
         
         if (isConnected && devices.length > 0) {
             // Connected state
-            dot?.classList.remove('disconnected', 'connecting');
+            dot?.classList.remove('disconnected', 'connecting', 'degraded');
             dot?.classList.add('connected');
             
-            if (text) {
-                const device = devices.find(d => d.id === LovenseApi.activeDeviceId) || devices[0];
-                text.textContent = `${device.nickname || device.name} connected`;
-            }
-            
             ipInput?.classList.add('hidden');
+            this.elements.scanRangesInput?.classList.add('hidden');
             connectBtn?.classList.add('hidden');
             reconnectBtn?.classList.add('hidden');
             disconnectBtn?.classList.remove('hidden');
-            deviceSelect?.classList.remove('hidden');
+            this.elements.routingBtn?.classList.remove('hidden');
             
-            // Populate device select
-            if (deviceSelect) {
-                deviceSelect.innerHTML = devices.map(d => 
-                    `<option value="${d.id}">${d.nickname} (${d.deviceType})</option>`
-                ).join('');
-            }
+            this.updateDeviceStatus(devices, LovenseApi.selectedDeviceIds);
         } else {
             // Disconnected state
-            dot?.classList.remove('connected', 'connecting');
+            dot?.classList.remove('connected', 'connecting', 'degraded');
             dot?.classList.add('disconnected');
             
             if (text) text.textContent = 'No device connected';
             
             ipInput?.classList.remove('hidden');
+            this.elements.scanRangesInput?.classList.remove('hidden');
             connectBtn?.classList.remove('hidden');
             reconnectBtn?.classList.add('hidden');
             disconnectBtn?.classList.add('hidden');
-            deviceSelect?.classList.add('hidden');
+            deviceList?.classList.add('hidden');
+            this.elements.routingBtn?.classList.add('hidden');
+            this.closeRouting();
         }
         
         // Show saved IP in input placeholder
@@ -535,6 +662,103 @@ const UI = {
         }
     },
     
+    /**
+     * Device chips and bar text for the current devices and selection (refreshed by every heartbeat)
+     */
+    updateDeviceStatus(devices, selectedIds) {
+        const text = this.elements.deviceBarText;
+        if (devices.length === 0) return;
+        
+        this.renderDeviceChips(devices, selectedIds);
+        if (!text) return;
+        
+        const selected = devices.filter(d => selectedIds.includes(d.id));
+        let status;
+        if (devices.length === 1) {
+            status = devices[0].status
+                ? `${devices[0].nickname || devices[0].name} connected · ${devices[0].battery}% battery`
+                : `${devices[0].nickname || devices[0].name} is off or out of range`;
+        } else if (selected.length === 0) {
+            status = `${devices.length} devices connected, none selected`;
+        } else {
+            status = `Playing on ${selected.length} of ${devices.length} devices`;
+        }
+        
+        if (LovenseApi.consecutiveFailures > 0) {
+            status += ' · connection unstable';
+        }
+        const unavailable = LovenseApi.getUnavailableDevices().filter(d => d.status || devices.length > 1);
+        if (unavailable.length > 0) {
+            status += ` · ${unavailable.map(d => d.nickname || d.name).join(', ')} not responding`;
+        }
+        text.textContent = status;
+    },
+    
+    /**
+     * One checkbox chip per toy with its battery level
+     * Existing chips are updated in place so a heartbeat never disturbs a checkbox being clicked
+     */
+    renderDeviceChips(devices, selectedIds) {
+        const deviceList = this.elements.deviceList;
+        if (!deviceList) return;
+        
+        deviceList.classList.toggle('hidden', devices.length < 2);
+        
+        const ids = devices.map(d => d.id);
+        deviceList.querySelectorAll('.device-chip').forEach(chip => {
+            if (!ids.includes(chip.dataset.device)) chip.remove();
+        });
+        
+        devices.forEach(device => {
+            let chip = Array.from(deviceList.children).find(c => c.dataset.device === device.id);
+            if (!chip) {
+                chip = document.createElement('label');
+                chip.dataset.device = device.id;
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.value = device.id;
+                const name = document.createElement('span');
+                chip.append(input, name);
+                deviceList.appendChild(chip);
+            }
+            
+            chip.className = `device-chip${device.status ? '' : ' offline'}`;
+            chip.title = ToyCapabilities.describe(device.capabilities);
+            chip.querySelector('input').checked = selectedIds.includes(device.id);
+            chip.querySelector('span').textContent =
+                `${device.nickname} (${device.deviceType}) · ${device.status ? `${device.battery}%` : 'offline'}`;
+        });
+    },
+    
+    /**
+     * Connection badge for LovenseApi's health: amber when commands fail, pulsing while reconnecting
+     */
+    updateHealthBadge(health, info = {}) {
+        const dot = this.elements.deviceBarDot;
+        
+        if (health === 'lost') {
+            dot?.classList.remove('degraded', 'connecting');
+            this.showReconnectButton();
+            return;
+        }
+        
+        if (health === 'reconnecting') {
+            dot?.classList.remove('connected', 'degraded');
+            dot?.classList.add('connecting');
+            if (this.elements.deviceBarText) {
+                this.elements.deviceBarText.textContent = `Connection dropped, reconnecting (attempt ${info.attempt})...`;
+            }
+            return;
+        }
+        
+        if (!LovenseApi.isConnected) return;
+        
+        dot?.classList.remove('connecting', 'disconnected');
+        dot?.classList.toggle('degraded', health === 'degraded');
+        dot?.classList.toggle('connected', health !== 'degraded');
+        this.updateDeviceStatus(LovenseApi.devices, LovenseApi.selectedDeviceIds);
+    },
+    
     /**
      * Show reconnect button (when connection lost)
      */
@@ -542,7 +766,8 @@ const UI = {
         this.elements.connectBtn?.classList.add('hidden');
         this.elements.reconnectBtn?.classList.remove('hidden');
         this.elements.disconnectBtn?.classList.add('hidden');
-        this.elements.deviceSelect?.classList.add('hidden');
+        this.elements.deviceList?.classList.add('hidden');
+        this.elements.routingBtn?.classList.add('hidden');
         
         if (this.elements.deviceBarDot) {
             this.elements.deviceBarDot.classList.remove('connected');
@@ -630,10 +855,17 @@ const UI = {
      */
     addNetworkLog(entry) {
         this.networkLog.unshift(entry);
-        if (this.networkLog.length > 20) {
+        if (this.networkLog.length > this.networkLogLimit) {
             this.networkLog.pop();
         }
-        this.renderNetworkLog();
+        
+        // Scans add hundreds of entries a second, so redraw at most once per frame
+        if (this.networkLogFrame === null) {
+            this.networkLogFrame = requestAnimationFrame(() => {
+                this.networkLogFrame = null;
+                this.renderNetworkLog();
+            });
+        }
     },
 
     /**
@@ -660,16 +892,94 @@ const UI = {
      * Get current settings from form
      */
     getSettings() {
+        const speechThreshold = parseFloat(this.elements.speechThreshold?.value);
         return {
             deviceType: this.elements.deviceType?.value || 'generic-vibe',
+            style: this.elements.patternStyle?.value || 'pulse',
             minIntensity: parseInt(this.elements.minIntensity?.value) || 0,
             maxIntensity: parseInt(this.elements.maxIntensity?.value) || 20,
             onBeatBoost: parseFloat(this.elements.onBeatBoost?.value) || 1.2,
             breakIntensity: parseFloat(this.elements.breakIntensity?.value) || 0.1,
-            intervalMs: 100
+            followBand: this.elements.followBand?.value || 'full',
+            sectionDynamics: this.elements.sectionDynamics?.value || 'follow',
+            silenceThresholdDb: Utils.clamp(parseInt(this.elements.silenceThresholdDb?.value) || -45, -80, -20),
+            speechThreshold: Number.isFinite(speechThreshold) ? Utils.clamp(speechThreshold, 0, 1) : 0.6,
+            speechMode: this.elements.speechMode?.value || 'floor',
+            smoothing: parseFloat(this.elements.smoothing?.value) || 0,
+            slewLimit: Utils.clamp(parseInt(this.elements.slewLimit?.value) || 0, 0, 20),
+            deadband: Utils.clamp(parseInt(this.elements.deadband?.value) || 0, 0, 5),
+            minHoldMs: Utils.clamp(parseInt(this.elements.minHoldMs?.value) || 0, 0, 2000),
+            beatOffsetMs: Utils.clamp(parseInt(this.elements.beatOffsetMs?.value) || 0, -500, 500),
+            onsetDetector: this.elements.onsetDetector?.value || 'energy',
+            channelMix: this.elements.channelMix?.value || 'mid',
+            funscriptMapping: this.elements.funscriptMapping?.value || 'position',
+            intervalMs: this.elements.intervalMs?.value === 'adaptive'
+                ? 'adaptive'
+                : parseInt(this.elements.intervalMs?.value) || 100,
+            chunkSize: Utils.clamp(parseInt(this.elements.chunkSize?.value) || 50, 1, 50)
         };
     },
     
+    /**
+     * Write settings into the form (the inverse of getSettings; unknown keys are ignored)
+     * Selects pick the option with the same numeric value, so 1 selects "1.0"
+     */
+    applySettings(settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            const el = this.elements[key === 'style' ? 'patternStyle' : key];
+            if (!el) return;
+            
+            if (el.tagName === 'SELECT') {
+                const option = Array.from(el.options).find(o =>
+                    o.value === String(value) || (o.value !== '' && Number(o.value) === Number(value))
+                );
+                if (option) el.value = option.value;
+            } else {
+                el.value = value;
+            }
+        });
+    },
+    
+    /**
+     * Fill the preset dropdown; an empty value stands for settings that match no preset
+     */
+    renderPresets(presets, selected = null) {
+        const select = this.elements.settingsPreset;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        select.appendChild(new Option('Custom', ''));
+        [['Built-in', true], ['Saved', false]].forEach(([label, builtIn]) => {
+            const entries = presets.filter(p => p.builtIn === builtIn);
+            if (entries.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            entries.forEach(p => group.appendChild(new Option(p.name, p.name)));
+            select.appendChild(group);
+        });
+        select.value = selected || '';
+        
+        if (this.elements.presetDeleteBtn) {
+            this.elements.presetDeleteBtn.disabled = !selected || presets.some(p => p.name === selected && p.builtIn);
+        }
+    },
+    
+    /**
+     * Show whether the selected file follows the form or keeps its own settings
+     */
+    updateFileSettingsNote(fileData) {
+        const bar = this.elements.fileSettingsNote?.parentElement;
+        bar?.classList.toggle('hidden', !fileData);
+        if (!fileData || !this.elements.fileSettingsNote) return;
+        
+        this.elements.fileSettingsNote.textContent = fileData.settings
+            ? `${fileData.file.name} keeps its own settings (${fileData.presetName || 'custom'})`
+            : `${fileData.file.name} uses the settings below`;
+        if (this.elements.presetClearFileBtn) {
+            this.elements.presetClearFileBtn.disabled = !fileData.settings;
+        }
+    },
+    
     /**
      * Open changelog modal
      */
@@ -696,6 +1006,218 @@ const UI = {
      */
     closeInfo() {
         this.elements.infoModal?.classList.remove('visible');
+    },
+    
+    /**
+     * Open analysis cache modal
+     */
+    openCache() {
+        this.elements.cacheModal?.classList.add('visible');
+    },
+    
+    /**
+     * Close analysis cache modal
+     */
+    closeCache() {
+        this.elements.cacheModal?.classList.remove('visible');
+    },
+    
+    /**
+     * Render analysis cache entries (each delete button carries its entry key in data-key)
+     */
+    renderCacheEntries(entries) {
+        if (!this.elements.cacheList) return;
+        
+        const totalBytes = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+        if (this.elements.cacheSummary) {
+            this.elements.cacheSummary.textContent = entries.length > 0
+                ? `${entries.length} cached ${entries.length === 1 ? 'analysis' : 'analyses'} (~${Utils.formatFileSize(totalBytes)})`
+                : 'No cached analyses';
+        }
+        
+        this.elements.cacheList.innerHTML = '';
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'cache-entry';
+            
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.className = 'cache-entry-name';
+            name.textContent = entry.name;
+            const meta = document.createElement('div');
+            meta.className = 'cache-entry-meta';
+            meta.textContent = [
+                Utils.formatTime(entry.duration),
+                `${entry.bpm} BPM`,
+                Utils.formatFileSize(entry.size),
+                `${entry.settings?.onsetDetector} / ${entry.settings?.channelMix}`,
+                new Date(entry.createdAt).toLocaleDateString()
+            ].join(' · ');
+            info.append(name, meta);
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-small';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.dataset.key = entry.key;
+            
+            row.append(info, deleteBtn);
+            this.elements.cacheList.appendChild(row);
+        });
+    },
+    
+    /**
+     * Open pattern library modal
+     */
+    openLibrary() {
+        this.elements.libraryModal?.classList.add('visible');
+    },
+    
+    /**
+     * Close pattern library modal
+     */
+    closeLibrary() {
+        this.elements.libraryModal?.classList.remove('visible');
+    },
+    
+    /**
+     * Fill the library editor form (an empty name starts a new pattern)
+     * The name being edited is kept in data-original so saving under a new name renames it
+     */
+    setLibraryForm(name = '', steps = []) {
+        if (this.elements.libraryName) {
+            this.elements.libraryName.value = name;
+            this.elements.libraryName.dataset.original = name;
+        }
+        if (this.elements.librarySteps) {
+            this.elements.librarySteps.value = steps.join(', ');
+        }
+    },
+    
+    /**
+     * Render library patterns; action buttons carry data-action and data-name
+     */
+    renderLibrary(patterns) {
+        if (!this.elements.libraryList) return;
+        
+        this.elements.libraryList.innerHTML = '';
+        patterns.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'cache-entry';
+            
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.className = 'cache-entry-name';
+            name.textContent = entry.builtIn ? `${entry.name} (built-in)` : entry.name;
+            const meta = document.createElement('div');
+            meta.className = 'cache-entry-meta';
+            meta.textContent = entry.steps.join(' ');
+            info.append(name, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-entry-actions';
+            const buttons = entry.builtIn ? ['Preview'] : ['Preview', 'Edit', 'Delete'];
+            buttons.forEach(label => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-small';
+                btn.textContent = label;
+                btn.dataset.action = label.toLowerCase();
+                btn.dataset.name = entry.name;
+                actions.appendChild(btn);
+            });
+            
+            row.append(info, actions);
+            this.elements.libraryList.appendChild(row);
+        });
+    },
+    
+    /**
+     * Open device routing modal
+     */
+    openRouting() {
+        this.elements.routingModal?.classList.add('visible');
+    },
+    
+    /**
+     * Close device routing modal
+     */
+    closeRouting() {
+        this.elements.routingModal?.classList.remove('visible');
+    },
+    
+    /**
+     * Render one routing row per device; rows carry data-device and their inputs data-field
+     * A saved track the current item lacks stays listed (the device plays the script meanwhile)
+     */
+    renderRouting(devices, routes, trackOptions) {
+        if (!this.elements.routingList) return;
+        
+        this.elements.routingList.innerHTML = '';
+        if (devices.length === 0) {
+            this.elements.routingList.textContent = 'No devices connected';
+            return;
+        }
+        
+        devices.forEach(device => {
+            const route = routes[device.id];
+            const row = document.createElement('div');
+            row.className = 'cache-entry routing-entry';
+            row.dataset.device = device.id;
+            
+            const name = document.createElement('div');
+            name.className = 'cache-entry-name';
+            name.textContent = `${device.nickname} (${device.deviceType})`;
+            name.title = ToyCapabilities.describe(device.capabilities);
+            
+            const track = document.createElement('select');
+            track.dataset.field = 'track';
+            const options = trackOptions.some(o => o.value === route.track)
+                ? trackOptions
+                : [...trackOptions, { value: route.track, label: `${DeviceRouter.bandTracks[route.track] || route.track} (not available)` }];
+            options.forEach(o => track.appendChild(new Option(o.label, o.value)));
+            
+            const number = (field, label, min, max, step) => {
+                const wrap = document.createElement('label');
+                wrap.textContent = label;
+                const input = document.createElement('input');
+                Object.assign(input, { type: 'number', min, max, step });
+                input.dataset.field = field;
+                wrap.appendChild(input);
+                return wrap;
+            };
+            
+            const invert = document.createElement('label');
+            invert.textContent = 'Invert';
+            const invertInput = document.createElement('input');
+            invertInput.type = 'checkbox';
+            invertInput.dataset.field = 'invert';
+            invert.prepend(invertInput);
+            
+            const controls = document.createElement('div');
+            controls.className = 'routing-controls';
+            controls.append(
+                track,
+                number('min', 'Min', 0, 20, 1),
+                number('max', 'Max', 0, 20, 1),
+                invert,
+                number('offsetMs', 'Offset (ms)', -DeviceRouter.maxOffsetMs, DeviceRouter.maxOffsetMs, 10)
+            );
+            
+            row.append(name, controls);
+            this.setRoutingRow(row, route);
+            this.elements.routingList.appendChild(row);
+        });
+    },
+    
+    /**
+     * Show a (normalized) route in its routing row
+     */
+    setRoutingRow(row, route) {
+        const field = (name) => row.querySelector(`[data-field="${name}"]`);
+        if (field('track')) field('track').value = route.track;
+        if (field('min')) field('min').value = route.min;
+        if (field('max')) field('max').value = route.max;
+        if (field('invert')) field('invert').checked = route.invert;
+        if (field('offsetMs')) field('offsetMs').value = route.offsetMs;
     }
 };
 
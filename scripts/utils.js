@@ -77,10 +77,8 @@ const Utils = {
                 };
             }
             
-            // Check if it's a known pattern
-            const knownPatterns = ['wave', 'pulse', 'escalate', 'earthquake', 'heartbeat', 
-                                   'fireworks', 'gentle', 'intense', 'teasing', 'steady'];
-            if (knownPatterns.includes(patternName) && !isNaN(duration)) {
+            // Check if it's a library pattern (built-in or custom)
+            if (PatternLibrary.has(patternName) && !isNaN(duration)) {
                 return {
                     type: 'simple',
                     pattern: patternName,
@@ -118,15 +116,34 @@ const Utils = {
     },
 
     /**
-     * Read file as ArrayBuffer
+     * Read file as ArrayBuffer (aborted when the optional AbortSignal fires)
      */
-    readFileAsArrayBuffer(file) {
+    readFileAsArrayBuffer(file, signal = null) {
         return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.abortError());
+                return;
+            }
+            
             const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
+            const onAbort = () => reader.abort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            reader.onload = (e) => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(e.target.result);
+            };
             reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.onabort = () => reject(this.abortError());
             reader.readAsArrayBuffer(file);
         });
+    },
+
+    /**
+     * Error used to reject work cancelled through an AbortSignal
+     */
+    abortError() {
+        return new DOMException('Conversion cancelled', 'AbortError');
     }
 };
 
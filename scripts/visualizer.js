@@ -64,18 +64,16 @@ const Visualizer = {
         const height = canvas.offsetHeight;
         const duration = result.duration;
         const xScale = width / duration;
-        const beatInterval = result.beatInterval;
-        
-        // 3/4 on, 1/4 off per beat
-        const onDuration = beatInterval * 0.75;
+        const beats = PatternGenerator.getBeatTimes(result, result.lovenseJson?.settings?.beatOffsetMs);
 
         // Clear
         ctx.fillStyle = '#0a0a0f';
         ctx.fillRect(0, 0, width, height);
 
-        // Draw beat zones
-        for (let beatTime = 0; beatTime < duration; beatTime += beatInterval) {
-            const offStart = beatTime + onDuration;
+        // Draw beat zones (3/4 on, 1/4 off of each beat's own length)
+        beats.forEach((beatTime, i) => {
+            const beatEnd = i < beats.length - 1 ? beats[i + 1] : duration;
+            const offStart = beatTime + (beatEnd - beatTime) * 0.75;
             
             // On zone (green tint)
             const onStartX = beatTime * xScale;
@@ -86,11 +84,18 @@ const Visualizer = {
             // Off zone (pink tint)
             if (offStart < duration) {
                 const offStartX = offStart * xScale;
-                const offEndX = Math.min(beatTime + beatInterval, duration) * xScale;
+                const offEndX = Math.min(beatEnd, duration) * xScale;
                 ctx.fillStyle = 'rgba(255, 107, 157, 0.15)';
                 ctx.fillRect(offStartX, 0, offEndX - offStartX, height);
             }
-        }
+        });
+
+        // Shade silence (dark) and dialogue (blue), where the device is gated
+        PatternGenerator.classifySegments(result, result.lovenseJson?.settings).forEach(segment => {
+            if (segment.type === 'music') return;
+            ctx.fillStyle = segment.type === 'silence' ? 'rgba(0, 0, 0, 0.55)' : 'rgba(107, 157, 255, 0.18)';
+            ctx.fillRect(segment.start * xScale, 0, (segment.end - segment.start) * xScale, height);
+        });
 
         // Draw volume waveform
         const volumeData = result.volumeData;
@@ -120,15 +125,85 @@ const Visualizer = {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
         ctx.lineWidth = 1;
         
-        for (let t = 0; t < duration; t += beatInterval) {
+        beats.forEach(t => {
             const x = t * xScale;
             ctx.beginPath();
             ctx.moveTo(x, 0);
             ctx.lineTo(x, height);
             ctx.stroke();
+        });
+
+        // Draw section boundaries and their energy level
+        const sectionColors = { low: '#6bffb8', mid: '#9d6bff', high: '#ff6b9d' };
+        ctx.font = '10px sans-serif';
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 2;
+        (result.sections || []).forEach(section => {
+            const x = section.start * xScale;
+            ctx.strokeStyle = sectionColors[section.level] || '#ffffff';
+            ctx.fillStyle = ctx.strokeStyle;
+            if (section.start > 0) {
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+            }
+            ctx.fillText(section.level, x + 4, 12);
+        });
+        ctx.setLineDash([]);
+
+        // Draw the generated output (after filters) as a line on the 0-20 scale
+        const timeline = PatternGenerator.getStrengthTimeline(result.lovenseJson);
+        if (timeline.length > 0) {
+            ctx.strokeStyle = '#ffd36b';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            timeline.forEach((point, i) => {
+                const x = (point.at / 1000) * xScale;
+                const y = height - (point.value / 20) * height * 0.85;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
         }
     },
 
+    /**
+     * Draw the tempo curve as a small sparkline (BPM over time, scaled to its own range)
+     */
+    drawTempoCurve(canvas, tempoCurve, duration) {
+        const ctx = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+
+        canvas.width = canvas.offsetWidth * dpr;
+        canvas.height = canvas.offsetHeight * dpr;
+        ctx.scale(dpr, dpr);
+
+        const width = canvas.offsetWidth;
+        const height = canvas.offsetHeight;
+        ctx.clearRect(0, 0, width, height);
+        if (tempoCurve.length === 0 || !duration) return;
+
+        let minBpm = Infinity;
+        let maxBpm = -Infinity;
+        tempoCurve.forEach(p => {
+            minBpm = Math.min(minBpm, p.bpm);
+            maxBpm = Math.max(maxBpm, p.bpm);
+        });
+        // Keep a few BPM of headroom so a steady tempo draws as a flat line mid-height
+        const span = Math.max(maxBpm - minBpm, 10);
+        const base = (minBpm + maxBpm) / 2 - span / 2;
+        const toY = bpm => height - 2 - ((bpm - base) / span) * (height - 4);
+
+        ctx.strokeStyle = '#6bffb8';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(tempoCurve[0].bpm));
+        tempoCurve.forEach(p => ctx.lineTo((p.time / duration) * width, toY(p.bpm)));
+        ctx.lineTo(width, toY(tempoCurve[tempoCurve.length - 1].bpm));
+        ctx.stroke();
+    },
+
     /**
      * Draw pattern visualization for player with intensity gradients
      */
@@ -273,10 +348,10 @@ const Visualizer = {
             
             if (strengths.length === 0) strengths = [10];
             
-            // Get interval from rule
-            let intervalMs = 100;
-            if (pattern.rawCommand?.rule) {
-                const sMatch = pattern.rawCommand.rule.match(/S:(\d+)/);
+            // Step size: the generator's own _meta, else the rule's S: field (adaptive chunks differ per command)
+            let intervalMs = pattern.rawCommand?._meta?.intervalMs || 100;
+            if (!pattern.rawCommand?._meta?.intervalMs && pattern.rawCommand?.rule) {
+                const sMatch = pattern.rawCommand.rule.match(/S:(\d+)/i);
                 if (sMatch) intervalMs = parseInt(sMatch[1]);
             }
             const intervalSec = intervalMs / 1000;
@@ -0,0 +1,43 @@
+/**
+ * Funscript export tests (run with `node --test tests/`)
+ * Loads the browser modules into Node; they only touch `window` to export themselves
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+globalThis.window = globalThis;
+for (const name of ['utils', 'patternGenerator', 'funscript']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, `../scripts/${name}.js`), 'utf8'));
+}
+const { Funscript, PatternGenerator } = globalThis;
+
+function script(strengths, intervalMs) {
+    const patterns = PatternGenerator.chunkStrengths(strengths, 'v', intervalMs);
+    return { totalDuration: strengths.length * intervalMs / 1000, patterns };
+}
+
+test('each step is held until just before the next change', () => {
+    const { actions } = Funscript.fromLovenseJson(script([20, 20, 2, 2], 100));
+    assert.deepStrictEqual(actions, [
+        { at: 0, pos: 100 },
+        { at: 199, pos: 100 },
+        { at: 200, pos: 10 },
+        { at: 400, pos: 10 }
+    ]);
+});
+
+test('a round trip at a finer step keeps the steps instead of ramping between them', () => {
+    const funscript = Funscript.fromLovenseJson(script([20, 2, 20, 2], 500));
+    const lovenseJson = Funscript.toLovenseJson(funscript, { intervalMs: 100 });
+    const values = PatternGenerator.getStrengthTimeline(lovenseJson).map(p => p.value);
+    assert.deepStrictEqual(values.slice(0, 20), [
+        20, 20, 20, 20, 20,
+        2, 2, 2, 2, 2,
+        20, 20, 20, 20, 20,
+        2, 2, 2, 2, 2
+    ]);
+});
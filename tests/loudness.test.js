@@ -0,0 +1,104 @@
+/**
+ * Loudness tests (run with `node --test tests/`)
+ * Loads the browser module into Node; it only touches `window` to export itself
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+globalThis.window = globalThis;
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '../scripts/loudness.js'), 'utf8'));
+const { Loudness } = globalThis;
+
+const SAMPLE_RATE = 48000;
+const HOP_SEC = 0.01;
+
+function sine(frequency, amplitude, seconds) {
+    const data = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+    for (let i = 0; i < data.length; i++) {
+        data[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return data;
+}
+
+function measure(data) {
+    return Loudness.measureLoudness(data, SAMPLE_RATE, HOP_SEC, Math.floor(data.length / SAMPLE_RATE / HOP_SEC));
+}
+
+test('a full-scale 997 Hz sine measures -3.01 LUFS (BS.1770 reference)', () => {
+    const { integratedLoudness } = measure(sine(997, 1, 5));
+    assert.ok(Math.abs(integratedLoudness - -3.0) <= 0.1, `got ${integratedLoudness}`);
+});
+
+test('halving the amplitude lowers loudness by 6 LU', () => {
+    const full = measure(sine(997, 1, 5)).integratedLoudness;
+    const half = measure(sine(997, 0.5, 5)).integratedLoudness;
+    assert.ok(Math.abs(full - half - 6.02) <= 0.1, `got ${full - half}`);
+});
+
+test('K-weighting makes low frequencies quieter than 1 kHz at the same level', () => {
+    const low = measure(sine(40, 0.5, 5)).integratedLoudness;
+    const mid = measure(sine(997, 0.5, 5)).integratedLoudness;
+    assert.ok(low < mid - 1, `40 Hz ${low}, 997 Hz ${mid}`);
+});
+
+test('silence has no integrated loudness and is gated out of every frame', () => {
+    const { frameLoudness, integratedLoudness } = measure(new Float32Array(SAMPLE_RATE * 2));
+    assert.strictEqual(integratedLoudness, null);
+    assert.ok(frameLoudness.every(lufs => lufs <= Loudness.absoluteGateLufs));
+});
+
+test('measurement is deterministic', () => {
+    const data = sine(440, 0.3, 3);
+    const first = measure(data);
+    const second = measure(data);
+    assert.deepStrictEqual(Array.from(second.frameLoudness), Array.from(first.frameLoudness));
+    assert.strictEqual(second.integratedLoudness, first.integratedLoudness);
+});
+
+test('one loud spike does not squash the rest of the levels', () => {
+    const values = new Float32Array(1000).fill(0.1);
+    values[500] = 10;
+    const { levels, reference } = Loudness.normalizeLevels(values);
+
+    assert.strictEqual(reference, values[0]);
+    assert.ok(Math.abs(levels[0] - Loudness.softKnee(1)) < 1e-6, `got ${levels[0]}`);
+    assert.ok(levels[0] > 0.8, `got ${levels[0]}`);
+    assert.ok(levels[500] <= 1 && levels[500] > levels[0]);
+});
+
+test('silent levels stay at 0 and all-silent input normalizes to zeros', () => {
+    const values = new Float32Array([0, 0.2, 0, 0.4]);
+    assert.strictEqual(Loudness.normalizeLevels(values).levels[0], 0);
+
+    const silent = Loudness.normalizeLevels(new Float32Array(10));
+    assert.strictEqual(silent.reference, 0);
+    assert.ok(silent.levels.every(level => level === 0));
+});
+
+test('the soft knee is continuous, monotonic and never reaches 1', () => {
+    const below = Loudness.softKnee(0.8 - 1e-9);
+    const above = Loudness.softKnee(0.8 + 1e-9);
+    assert.ok(Math.abs(above - below) < 1e-6);
+
+    let previous = -Infinity;
+    for (let x = 0; x <= 10; x += 0.05) {
+        const y = Loudness.softKnee(x);
+        assert.ok(y > previous || x === 0);
+        assert.ok(y < 1);
+        previous = y;
+    }
+});
+
+test('the worker source declares the same functions', () => {
+    const source = Loudness.toWorkerSource();
+    const workerLoudness = new Function(`${source}\nreturn Loudness;`)();
+    assert.strictEqual(workerLoudness.softKnee(1.5), Loudness.softKnee(1.5));
+    assert.deepStrictEqual(
+        Array.from(workerLoudness.normalizeLevels(new Float32Array([0.1, 0.5, 2])).levels),
+        Array.from(Loudness.normalizeLevels(new Float32Array([0.1, 0.5, 2])).levels)
+    );
+});
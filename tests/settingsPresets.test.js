@@ -0,0 +1,76 @@
+/**
+ * Settings preset tests (run with `node --test tests/`)
+ * Loads the browser modules into Node with an in-memory localStorage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+globalThis.window = globalThis;
+const stored = new Map();
+globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value))
+};
+for (const name of ['utils', 'settingsPresets']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, `../scripts/${name}.js`), 'utf8'));
+}
+const { SettingsPresets } = globalThis;
+
+test('invalid values are dropped', () => {
+    const picked = SettingsPresets.pick({
+        maxIntensity: 'abc',
+        minIntensity: null,
+        onBeatBoost: '',
+        smoothing: true,
+        style: 'spiral',
+        intervalMs: {},
+        chunkSize: [],
+        beatOffsetMs: NaN
+    });
+    assert.deepStrictEqual(picked, {});
+});
+
+test('numbers are coerced and clamped to the form ranges', () => {
+    const picked = SettingsPresets.pick({
+        maxIntensity: '14',
+        minIntensity: -5,
+        onBeatBoost: 9,
+        silenceThresholdDb: -100,
+        slewLimit: 3.6,
+        chunkSize: 1
+    });
+    assert.deepStrictEqual(picked, {
+        maxIntensity: 14,
+        minIntensity: 0,
+        onBeatBoost: 1.6,
+        silenceThresholdDb: -80,
+        slewLimit: 4,
+        chunkSize: 10
+    });
+});
+
+test('choices and adaptive resolution are kept, device type and unknown keys are not', () => {
+    const picked = SettingsPresets.pick({
+        style: 'envelope',
+        intervalMs: 'adaptive',
+        channelMix: 'side',
+        deviceType: 'max2',
+        volume: 3
+    });
+    assert.deepStrictEqual(picked, { style: 'envelope', intervalMs: 'adaptive', channelMix: 'side' });
+});
+
+test('imported presets are sanitized before they are stored', () => {
+    const result = SettingsPresets.importJson({
+        presets: { 'Broken': { maxIntensity: 'abc', minHoldMs: 99999, speechMode: 'off' } }
+    });
+    assert.deepStrictEqual(result, { imported: 1, skipped: 0 });
+    assert.deepStrictEqual(SettingsPresets.custom.Broken, { minHoldMs: 2000, speechMode: 'off' });
+
+    const full = SettingsPresets.get('Broken');
+    assert.strictEqual(full.maxIntensity, SettingsPresets.defaults.maxIntensity);
+});